@@ -0,0 +1,418 @@
+import fs from 'node:fs';
+import { parseDuration } from './duration.js';
+
+// Threshold alerting. Rules come from alert-rules.json in BOT_STATE_DIR and
+// are re-read on every evaluation; firing/resolved state, acks and silences
+// live in alert-state.json so they survive restarts.
+//
+// {
+//   "rules": [
+//     { "name": "root-disk", "type": "disk", "disk": "/", "above": 90, "severity": "critical" },
+//     { "name": "plex-down", "type": "container_not_running", "container": "plex", "for": "2m" },
+//     { "name": "immich-memory", "type": "container_memory", "container": "immich",
+//       "above": "2GB", "for": "10m", "renotify": "1h" },
+//     { "name": "unhealthy", "type": "container_unhealthy" },
+//     { "name": "pi-hole-down", "type": "container_not_running", "container": "pihole", "host": "pi" }
+//   ]
+// }
+//
+// Container rules look at the default Docker host unless they name a `host`.
+
+export const RULE_TYPES = [
+  'disk',
+  'host_memory',
+  'host_load',
+  'temperature',
+  'container_not_running',
+  'container_unhealthy',
+  'container_memory',
+];
+
+const HOST_RULE_TYPES = new Set(['disk', 'host_memory', 'host_load', 'temperature']);
+const THRESHOLD_RULE_TYPES = new Set([...HOST_RULE_TYPES, 'container_memory']);
+
+export function createAlertEngine({
+  configPath,
+  statePath,
+  readHostMetrics,
+  listContainers,
+  readContainerMemory,
+  isKnownHost = () => true,
+  notify,
+  onAlert,
+  isMuted,
+}) {
+  let state = null;
+  // Set when alert-state.json exists but cannot be read; saving would
+  // overwrite its acks and silences.
+  let unreadable = false;
+  let evaluating = null;
+
+  async function loadState() {
+    if (state) return state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        unreadable = true;
+        console.error(`Failed to read alert state at ${statePath}; not saving over it.`, error);
+      }
+      state = {};
+    }
+    return state;
+  }
+
+  async function saveState() {
+    if (unreadable) {
+      console.error(`Not saving alert state: ${statePath} could not be read.`);
+      return;
+    }
+    try {
+      await fs.promises.writeFile(statePath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write alert state.', error);
+    }
+  }
+
+  async function loadRules() {
+    let raw;
+    try {
+      raw = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Invalid alert rules at ${configPath}.`, error);
+      }
+      return [];
+    }
+
+    const rules = [];
+    for (const rule of raw?.rules ?? []) {
+      if (!rule?.name || !RULE_TYPES.includes(rule.type)) {
+        console.error(`Skipping invalid alert rule ${JSON.stringify(rule)}.`);
+        continue;
+      }
+      if (rule.enabled === false) continue;
+      const threshold = THRESHOLD_RULE_TYPES.has(rule.type) ? parseThreshold(rule) : null;
+      if (THRESHOLD_RULE_TYPES.has(rule.type) && threshold === null) {
+        console.error(
+          `Skipping alert rule ${rule.name}: invalid threshold ${JSON.stringify(rule.above)}.`
+        );
+        continue;
+      }
+      if (rule.host && (!rule.type.startsWith('container_') || !isKnownHost(rule.host))) {
+        console.error(`Skipping alert rule ${rule.name}: unknown Docker host '${rule.host}'.`);
+        continue;
+      }
+      rules.push({
+        ...rule,
+        host: rule.host || null,
+        threshold,
+        severity: rule.severity || 'warning',
+        forMs: parseDuration(rule.for) ?? 0,
+        renotifyMs: parseDuration(rule.renotify),
+      });
+    }
+    return rules;
+  }
+
+  // Containers are listed per Docker host (null for the default one). A host
+  // that cannot be listed leaves its rules unevaluated rather than reporting
+  // every container as missing.
+  async function collectSnapshot(rules) {
+    const snapshot = { host: null, containers: new Map(), memory: new Map() };
+    if (rules.some((rule) => HOST_RULE_TYPES.has(rule.type))) {
+      snapshot.host = await readHostMetrics();
+    }
+    const containerRules = rules.filter((rule) => rule.type.startsWith('container_'));
+    for (const hostName of new Set(containerRules.map((rule) => rule.host))) {
+      try {
+        snapshot.containers.set(hostName, await listContainers(hostName));
+      } catch (error) {
+        console.error(
+          `Failed to list containers${hostName ? ` on ${hostName}` : ''} for alerting.`,
+          error
+        );
+      }
+    }
+    for (const rule of containerRules.filter((entry) => entry.type === 'container_memory')) {
+      const key = memoryKey(rule);
+      const container = snapshot.containers
+        .get(rule.host)
+        ?.find((entry) => entry.name === rule.container);
+      if (snapshot.memory.has(key) || container?.state !== 'running') continue;
+      try {
+        snapshot.memory.set(key, await readContainerMemory(rule.container, rule.host));
+      } catch (error) {
+        console.error(`Failed to read memory for ${rule.container}.`, error);
+      }
+    }
+    return snapshot;
+  }
+
+  async function runEvaluation() {
+    const rules = await loadRules();
+    await loadState();
+    if (!rules.length) return;
+
+    let snapshot;
+    try {
+      snapshot = await collectSnapshot(rules);
+    } catch (error) {
+      console.error('Failed to collect alerting data.', error);
+      return;
+    }
+
+    const now = Date.now();
+    for (const rule of rules) {
+      let result;
+      try {
+        result = evaluateRule(rule, snapshot);
+      } catch (error) {
+        console.error(`Failed to evaluate alert rule ${rule.name}.`, error);
+        continue;
+      }
+      if (result === null) continue;
+      await applyResult(rule, result, now);
+    }
+    await saveState();
+  }
+
+  async function applyResult(rule, result, now) {
+    const ruleState = state[rule.name] ?? { status: 'ok' };
+    state[rule.name] = ruleState;
+    ruleState.value = result.value;
+    ruleState.severity = rule.severity;
+    // A maintenance window mutes like a silence; the rule keeps its state.
+    const silenced =
+      (ruleState.silencedUntil && ruleState.silencedUntil > now) || isMuted?.(rule.container);
+
+    if (!result.active) {
+      if (ruleState.status === 'firing') {
+        if (!silenced) {
+          await send(`✅ **Resolved: ${rule.name}** — ${result.value}`, rule.severity);
+        }
+      }
+      if (ruleState.status !== 'ok') {
+        ruleState.status = 'ok';
+        ruleState.since = now;
+      }
+      delete ruleState.acknowledgedBy;
+      delete ruleState.lastNotifiedAt;
+      return;
+    }
+
+    if (ruleState.status === 'ok') {
+      ruleState.status = 'pending';
+      ruleState.since = now;
+    }
+    if (ruleState.status === 'pending' && now - ruleState.since >= rule.forMs) {
+      ruleState.status = 'firing';
+      ruleState.since = now;
+      ruleState.firedCount = (ruleState.firedCount ?? 0) + 1;
+      onAlert?.(rule.name);
+      if (!silenced) {
+        await send(formatFiring(rule, result), rule.severity);
+        ruleState.lastNotifiedAt = now;
+      }
+      return;
+    }
+
+    const renotifyDue =
+      rule.renotifyMs &&
+      (!ruleState.lastNotifiedAt || now - ruleState.lastNotifiedAt >= rule.renotifyMs);
+    if (ruleState.status === 'firing' && renotifyDue && !ruleState.acknowledgedBy && !silenced) {
+      await send(`${formatFiring(rule, result)} (still firing)`, rule.severity);
+      ruleState.lastNotifiedAt = now;
+    }
+  }
+
+  async function send(message, severity) {
+    try {
+      await notify(message, { severity });
+    } catch (error) {
+      console.error('Failed to send alert notification.', error);
+    }
+  }
+
+  return {
+    async evaluate() {
+      // Overlapping cron ticks share one evaluation instead of racing on state.
+      if (!evaluating) {
+        evaluating = runEvaluation().finally(() => {
+          evaluating = null;
+        });
+      }
+      return evaluating;
+    },
+    async list() {
+      const rules = await loadRules();
+      await loadState();
+      return rules.map((rule) => ({ rule, state: state[rule.name] ?? { status: 'ok' } }));
+    },
+    async ruleNames() {
+      return (await loadRules()).map((rule) => rule.name);
+    },
+    async acknowledge(ruleName, userId) {
+      await loadState();
+      const ruleState = state[ruleName];
+      if (!ruleState || ruleState.status !== 'firing') {
+        return `Alert '${ruleName}' is not firing.`;
+      }
+      ruleState.acknowledgedBy = userId;
+      await saveState();
+      return `Acknowledged ${ruleName}; no more reminders until it resolves.`;
+    },
+    async silence(ruleName, durationMs, userId) {
+      const ruleNames = (await loadRules()).map((rule) => rule.name);
+      if (!ruleNames.includes(ruleName)) {
+        return `Alert rule '${ruleName}' not found.`;
+      }
+      await loadState();
+      const ruleState = state[ruleName] ?? { status: 'ok' };
+      state[ruleName] = ruleState;
+      if (durationMs === 0) {
+        delete ruleState.silencedUntil;
+        delete ruleState.silencedBy;
+        await saveState();
+        return `Unsilenced ${ruleName}.`;
+      }
+      ruleState.silencedUntil = Date.now() + durationMs;
+      ruleState.silencedBy = userId;
+      await saveState();
+      return `Silenced ${ruleName} until <t:${Math.floor(ruleState.silencedUntil / 1000)}:f>.`;
+    },
+    // State outlives rules that were removed or disabled; only current ones count.
+    async firingCount() {
+      const names = new Set((await loadRules()).map((rule) => rule.name));
+      await loadState();
+      return Object.entries(state).filter(
+        ([ruleName, ruleState]) => names.has(ruleName) && ruleState.status === 'firing'
+      ).length;
+    },
+  };
+}
+
+export function formatAlertList(entries) {
+  if (!entries.length) {
+    return 'No alert rules configured.';
+  }
+  const now = Date.now();
+  const icons = { firing: '🚨', pending: '⏳', ok: '✅' };
+  return entries
+    .map(({ rule, state }) => {
+      const markers = [];
+      if (state.acknowledgedBy) markers.push(`acked by <@${state.acknowledgedBy}>`);
+      if (state.silencedUntil > now) {
+        markers.push(`silenced until <t:${Math.floor(state.silencedUntil / 1000)}:f>`);
+      }
+      const since = state.since ? ` since <t:${Math.floor(state.since / 1000)}:R>` : '';
+      const value = state.value ? ` — ${state.value}` : '';
+      const suffix = markers.length ? ` (${markers.join(', ')})` : '';
+      return `${icons[state.status] ?? '❔'} **${rule.name}** [${rule.severity}] ${state.status}${since}${value}${suffix}`;
+    })
+    .join('\n');
+}
+
+function formatFiring(rule, result) {
+  const icon = rule.severity === 'critical' ? '🚨' : '⚠️';
+  return `${icon} **Alert: ${rule.name}** [${rule.severity}] — ${result.value}`;
+}
+
+// Returns { active, value } or null when the data needed is unavailable.
+function evaluateRule(rule, snapshot) {
+  switch (rule.type) {
+    case 'disk': {
+      const disk = snapshot.host?.disks.find((entry) => entry.label === (rule.disk ?? '/'));
+      if (!disk) return null;
+      return {
+        active: disk.usedPercent > rule.threshold,
+        value: `disk ${disk.label} at ${disk.usedPercent.toFixed(1)}% (threshold ${rule.above}%)`,
+      };
+    }
+    case 'host_memory': {
+      const memory = snapshot.host?.memory;
+      if (!memory) return null;
+      return {
+        active: memory.usedPercent > rule.threshold,
+        value: `host memory at ${memory.usedPercent.toFixed(1)}% (threshold ${rule.above}%)`,
+      };
+    }
+    case 'host_load': {
+      const load = snapshot.host?.load;
+      if (!load) return null;
+      return {
+        active: load.five > rule.threshold,
+        value: `5-minute load ${load.five.toFixed(2)} (threshold ${rule.above})`,
+      };
+    }
+    case 'temperature': {
+      const sensors = snapshot.host?.temperatures ?? [];
+      if (!sensors.length) return null;
+      const hottest = sensors.reduce((max, sensor) => (sensor.celsius > max.celsius ? sensor : max));
+      return {
+        active: hottest.celsius > rule.threshold,
+        value: `${hottest.label} at ${hottest.celsius.toFixed(1)}°C (threshold ${rule.above}°C)`,
+      };
+    }
+    case 'container_not_running': {
+      const containers = snapshot.containers.get(rule.host);
+      if (!containers) return null;
+      const container = containers.find((entry) => entry.name === rule.container);
+      const stateLabel = container?.state ?? 'missing';
+      return {
+        active: stateLabel !== 'running',
+        value: `${rule.container}${onHost(rule)} is ${stateLabel}`,
+      };
+    }
+    case 'container_unhealthy': {
+      const containers = snapshot.containers.get(rule.host);
+      if (!containers) return null;
+      const unhealthy = containers.filter(
+        (entry) => entry.health === 'unhealthy' && (!rule.container || entry.name === rule.container)
+      );
+      const subject = `${rule.container || 'all containers'}${onHost(rule)}`;
+      return {
+        active: unhealthy.length > 0,
+        value: unhealthy.length
+          ? `unhealthy: ${unhealthy.map((entry) => entry.name).join(', ')}`
+          : `${subject} healthy`,
+      };
+    }
+    case 'container_memory': {
+      const usedBytes = snapshot.memory.get(memoryKey(rule));
+      if (usedBytes === undefined || usedBytes === null) return null;
+      return {
+        active: usedBytes > rule.threshold,
+        value: `${rule.container}${onHost(rule)} using ${(usedBytes / 1024 ** 3).toFixed(2)} GiB (threshold ${rule.above})`,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+function memoryKey(rule) {
+  return `${rule.host ?? ''}/${rule.container}`;
+}
+
+function onHost(rule) {
+  return rule.host ? ` on ${rule.host}` : '';
+}
+
+// Memory thresholds are byte counts or sizes like "2GB"; the others are plain
+// numbers. Returns null when `above` is missing or unreadable.
+function parseThreshold(rule) {
+  if (rule.type === 'container_memory') return parseSize(rule.above);
+  const value = typeof rule.above === 'string' && rule.above.trim() ? Number(rule.above) : rule.above;
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function parseSize(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value ?? '')
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)(i?b)?$/i);
+  if (!match) return null;
+  const exponent = ['', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+  return Number(match[1]) * 1024 ** exponent;
+}
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { createAlertEngine } from './alert-rules.js';
+
+function createEngine(t, rules, hosts) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'alert-rules.json');
+  fs.writeFileSync(configPath, JSON.stringify({ rules }));
+  const statePath = path.join(dir, 'alert-state.json');
+  const sent = [];
+  const engine = createAlertEngine({
+    configPath,
+    statePath,
+    readHostMetrics: async () => ({}),
+    listContainers: async (hostName) => {
+      if (!hosts[hostName ?? 'default']) throw new Error(`${hostName} is unreachable`);
+      return hosts[hostName ?? 'default'];
+    },
+    readContainerMemory: async () => 2 * 1024 ** 3,
+    isKnownHost: (hostName) => hostName in hosts || hostName === 'down',
+    notify: async (message) => sent.push(message),
+  });
+  return { engine, sent, statePath };
+}
+
+test('container rules check the host they name', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { engine, sent } = createEngine(
+    t,
+    [
+      { name: 'pihole-down', type: 'container_not_running', container: 'pihole', host: 'pi' },
+      { name: 'plex-down', type: 'container_not_running', container: 'plex' },
+      { name: 'pihole-memory', type: 'container_memory', container: 'pihole', host: 'pi', above: '1GB' },
+    ],
+    {
+      default: [{ name: 'plex', state: 'running' }],
+      pi: [{ name: 'pihole', state: 'running' }],
+    }
+  );
+
+  await engine.evaluate();
+  assert.deepEqual(sent, [
+    '⚠️ **Alert: pihole-memory** [warning] — pihole on pi using 2.00 GiB (threshold 1GB)',
+  ]);
+  assert.equal(await engine.firingCount(), 1);
+});
+
+test('unknown or unreachable hosts do not report containers as missing', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { engine, sent } = createEngine(
+    t,
+    [
+      { name: 'typo', type: 'container_not_running', container: 'pihole', host: 'pie' },
+      { name: 'offline', type: 'container_not_running', container: 'nas-app', host: 'down' },
+    ],
+    { default: [] }
+  );
+
+  await engine.evaluate();
+  assert.deepEqual(sent, []);
+  assert.deepEqual(await engine.ruleNames(), ['offline']);
+});
+
+test('unreadable alert state is not saved over', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { engine, statePath } = createEngine(
+    t,
+    [{ name: 'plex-down', type: 'container_not_running', container: 'plex' }],
+    {
+      default: [],
+    }
+  );
+  fs.writeFileSync(statePath, '{ "plex-down": ');
+
+  await engine.evaluate();
+  assert.equal(fs.readFileSync(statePath, 'utf8'), '{ "plex-down": ');
+});
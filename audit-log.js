@@ -0,0 +1,72 @@
+import fs from 'node:fs';
+
+// Append-only audit trail of state-changing actions, stored as one JSON
+// object per line so it survives restarts and can be tailed by hand.
+
+const MAX_QUERY_LIMIT = 25;
+
+export function createAuditLog({ filePath, mirror }) {
+  return {
+    async record(entry) {
+      const record = {
+        timestamp: new Date().toISOString(),
+        ...entry,
+      };
+      try {
+        await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+      } catch (error) {
+        console.error('Failed to write audit log entry.', error);
+      }
+      if (mirror) {
+        try {
+          await mirror(`📝 ${formatAuditEntry(record)}`);
+        } catch (error) {
+          console.error('Failed to mirror audit log entry.', error);
+        }
+      }
+      return record;
+    },
+    async query({ userId, container, limit } = {}) {
+      const entries = await readAuditEntries(filePath);
+      const maxEntries = Math.min(Math.max(limit || 10, 1), MAX_QUERY_LIMIT);
+      const containerFilter = container?.toLowerCase();
+      return entries
+        .filter((entry) => !userId || entry.userId === userId)
+        .filter((entry) => !containerFilter || entry.target?.toLowerCase() === containerFilter)
+        .slice(-maxEntries)
+        .reverse();
+    },
+  };
+}
+
+export function formatAuditEntry(entry) {
+  const timestamp = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+  const who = entry.userId ? `<@${entry.userId}>` : entry.actor || 'system';
+  const previous = entry.previousState ? ` (was ${entry.previousState})` : '';
+  const detail = entry.detail ? ` — ${entry.detail}` : '';
+  const host = entry.host ? ` on ${entry.host}` : '';
+  return `<t:${timestamp}:f> ${who} **${entry.action}** \`${entry.target}\`${host} → ${entry.result}${previous}${detail}`;
+}
+
+async function readAuditEntries(filePath) {
+  let contents;
+  try {
+    contents = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      console.error('Failed to read audit log.', error);
+    }
+    return [];
+  }
+
+  const entries = [];
+  for (const line of contents.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.error('Skipping malformed audit log line.', error);
+    }
+  }
+  return entries;
+}
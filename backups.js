@@ -0,0 +1,399 @@
+import cron from 'node-cron';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+import { getImageId, pullImage } from './container-recreate.js';
+import { formatBytes } from './host-metrics.js';
+
+// Backup jobs. Jobs come from backups.json in BOT_STATE_DIR (restart to apply
+// changes). A run stops the job's containers in the listed order, copies its
+// volumes and host paths out of a helper container that is created but never
+// started, gzips them into one archive in the target directory and starts the
+// containers again in reverse order whatever happened in between. Runs are
+// queued, so jobs never overlap. Last results, and the containers a run has
+// stopped, live in backup-state.json: containers left stopped by a crash are
+// started again when the bot comes back.
+//
+// {
+//   "targetDir": "/backups",
+//   "jobs": [
+//     { "name": "nextcloud", "cron": "0 3 * * *", "containers": ["nextcloud", "nextcloud-db"],
+//       "volumes": ["nextcloud_data", "nextcloud_db"], "keep": 7 },
+//     { "name": "homeassistant", "cron": "30 3 * * *", "host": "nas", "containers": ["homeassistant"],
+//       "paths": ["/srv/homeassistant/config"], "targetDir": "/backups/ha", "keep": 14 }
+//   ]
+// }
+
+const JOB_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const DEFAULT_KEEP = 7;
+const DEFAULT_HELPER_IMAGE = 'busybox:latest';
+const HELPER_ROOT = '/backup';
+
+export function createBackupManager({
+  configPath,
+  statePath,
+  defaultTargetDir,
+  timezone,
+  getHost,
+  stopContainer,
+  startContainer,
+  notify,
+}) {
+  let config = null;
+  let state = null;
+  let queue = Promise.resolve();
+
+  function loadConfig() {
+    if (config) return config;
+    let raw = {};
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Invalid backup config at ${configPath}.`, error);
+      }
+    }
+
+    const jobs = [];
+    for (const job of raw?.jobs ?? []) {
+      const problem = validateJob(job);
+      if (problem) {
+        console.error(`Skipping backup job ${job?.name ?? JSON.stringify(job)}: ${problem}`);
+        continue;
+      }
+      jobs.push({
+        name: job.name,
+        cron: job.cron || null,
+        host: job.host || null,
+        containers: job.containers ?? [],
+        volumes: job.volumes ?? [],
+        paths: job.paths ?? [],
+        targetDir: job.targetDir || raw.targetDir || defaultTargetDir,
+        keep: job.keep ?? DEFAULT_KEEP,
+      });
+    }
+    config = { jobs, helperImage: raw?.helperImage || DEFAULT_HELPER_IMAGE };
+    return config;
+  }
+
+  async function loadState() {
+    if (state) return state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error('Failed to read backup state.', error);
+      }
+      state = {};
+    }
+    state.lastRuns ??= {};
+    return state;
+  }
+
+  async function saveState() {
+    try {
+      await fs.promises.writeFile(statePath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write backup state.', error);
+    }
+  }
+
+  async function runJob(job) {
+    await loadState();
+    const startedAt = Date.now();
+    const errors = [];
+    const stopped = [];
+    let archive = null;
+    let removedArchives = [];
+
+    const host = getHost(job.host);
+    if (!host) {
+      errors.push(`Unknown Docker host '${job.host}'.`);
+    } else {
+      try {
+        for (const containerName of job.containers) {
+          const result = await stopContainer(host, containerName);
+          // Archiving a container that is still writing is what this avoids.
+          if (!result.ok) throw new Error(result.message);
+          if (result.changed) {
+            stopped.push(containerName);
+            state.stopped = { job: job.name, host: host.name, containers: stopped };
+            await saveState();
+          }
+        }
+        archive = await writeArchive(host.docker, job, loadConfig().helperImage);
+      } catch (error) {
+        console.error(`Backup job ${job.name} failed.`, error);
+        errors.push(error?.message ?? String(error));
+      } finally {
+        for (const containerName of [...stopped].reverse()) {
+          const result = await startContainer(host, containerName);
+          if (!result.ok) errors.push(result.message);
+        }
+        delete state.stopped;
+      }
+    }
+
+    if (archive) {
+      try {
+        removedArchives = await applyRetention(job);
+      } catch (error) {
+        console.error(`Failed to remove old archives for backup job ${job.name}.`, error);
+        errors.push(`Could not remove old archives: ${error?.message ?? error}`);
+      }
+    }
+
+    const result = {
+      job: job.name,
+      ok: Boolean(archive) && !errors.length,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      file: archive ? path.basename(archive.file) : null,
+      sizeBytes: archive?.sizeBytes ?? null,
+      removedArchives: removedArchives.length,
+      errors,
+    };
+    state.lastRuns[job.name] = result;
+    await saveState();
+    return result;
+  }
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function report(results) {
+    if (!results.length) return;
+    const failed = results.some((result) => !result.ok);
+    try {
+      await notify(`💾 **Backups**\n${results.map(formatBackupResult).join('\n')}`, {
+        severity: failed ? 'warning' : 'info',
+      });
+    } catch (error) {
+      console.error('Failed to send backup report.', error);
+    }
+  }
+
+  // Containers a crashed run left stopped are started before anything else.
+  async function recoverStoppedContainers() {
+    await loadState();
+    const leftover = state.stopped;
+    if (!leftover) return;
+    const host = getHost(leftover.host);
+    const lines = [];
+    for (const containerName of [...leftover.containers].reverse()) {
+      const result = host
+        ? await startContainer(host, containerName)
+        : { ok: false, message: `Unknown Docker host '${leftover.host}'.` };
+      lines.push(`${result.ok ? '✅' : '❌'} ${result.message}`);
+    }
+    delete state.stopped;
+    await saveState();
+    try {
+      await notify(
+        `💾 **Backup ${leftover.job}** was interrupted; restarted its containers.\n${lines.join('\n')}`,
+        { severity: 'warning' }
+      );
+    } catch (error) {
+      console.error('Failed to send backup recovery report.', error);
+    }
+  }
+
+  return {
+    start() {
+      const jobs = loadConfig().jobs;
+      enqueue(recoverStoppedContainers);
+      for (const job of jobs.filter((entry) => entry.cron)) {
+        cron.schedule(job.cron, () => enqueue(() => runJob(job)).then((result) => report([result])), {
+          timezone,
+        });
+      }
+      console.log(`Scheduled ${jobs.filter((job) => job.cron).length} backup jobs.`);
+    },
+    list() {
+      return loadConfig().jobs;
+    },
+    get(name) {
+      return loadConfig().jobs.find((job) => job.name === name) ?? null;
+    },
+    // Runs one job, or every job in order, after whatever is already queued.
+    run(name) {
+      const jobs = loadConfig().jobs.filter((job) => !name || job.name === name);
+      return enqueue(async () => {
+        const results = [];
+        for (const job of jobs) {
+          results.push(await runJob(job));
+        }
+        return results;
+      });
+    },
+    report,
+    async status() {
+      await loadState();
+      return Promise.all(
+        loadConfig().jobs.map(async (job) => ({
+          job,
+          lastRun: state.lastRuns[job.name] ?? null,
+          archives: await listArchives(job).catch(() => []),
+        }))
+      );
+    },
+  };
+}
+
+export function validateJob(job) {
+  if (!JOB_NAME_PATTERN.test(job?.name ?? '')) {
+    return 'Job names use letters, numbers, - and _ (up to 32 characters).';
+  }
+  if (job.cron && !cron.validate(job.cron)) {
+    return `Invalid cron expression '${job.cron}'.`;
+  }
+  for (const field of ['containers', 'volumes', 'paths']) {
+    if (job[field] !== undefined && !isStringArray(job[field])) {
+      return `${field} must be an array of strings.`;
+    }
+  }
+  if (!job.volumes?.length && !job.paths?.length) {
+    return 'Jobs need at least one volume or path to archive.';
+  }
+  if (job.paths?.some((entry) => !path.isAbsolute(entry))) {
+    return 'paths must be absolute host paths.';
+  }
+  if (job.keep !== undefined && !(Number.isInteger(job.keep) && job.keep > 0)) {
+    return 'keep must be a positive whole number.';
+  }
+  return null;
+}
+
+// Volumes are mounted at /backup/volumes/<name> and host paths under
+// /backup/paths/<path>, which is also their layout inside the archive.
+async function writeArchive(docker, job, helperImage) {
+  for (const volumeName of job.volumes) {
+    try {
+      await docker.getVolume(volumeName).inspect();
+    } catch (error) {
+      // Binding a missing volume would silently create an empty one.
+      if (error?.statusCode === 404) throw new Error(`Volume '${volumeName}' does not exist.`);
+      throw error;
+    }
+  }
+  if (!(await getImageId(docker, helperImage))) {
+    await pullImage(docker, helperImage);
+  }
+
+  const helper = await docker.createContainer({
+    Image: helperImage,
+    Cmd: ['true'],
+    Labels: { 'homelab-bot.backup': job.name },
+    HostConfig: {
+      Binds: [
+        ...job.volumes.map((volumeName) => `${volumeName}:${HELPER_ROOT}/volumes/${volumeName}:ro`),
+        ...job.paths.map(
+          (hostPath) => `${hostPath}:${HELPER_ROOT}/paths${path.posix.normalize(hostPath)}:ro`
+        ),
+      ],
+    },
+  });
+
+  const stamp = new Date()
+    .toISOString()
+    .replace(/\.\d+Z$/, 'Z')
+    .replaceAll(':', '-');
+  const file = path.join(job.targetDir, `${job.name}-${stamp}.tar.gz`);
+  const partialFile = `${file}.partial`;
+  try {
+    await fs.promises.mkdir(job.targetDir, { recursive: true });
+    const stream = await helper.getArchive({ path: HELPER_ROOT });
+    await pipeline(stream, zlib.createGzip(), fs.createWriteStream(partialFile));
+    await fs.promises.rename(partialFile, file);
+  } catch (error) {
+    await fs.promises.rm(partialFile, { force: true });
+    throw error;
+  } finally {
+    await helper.remove().catch((error) => {
+      console.error(`Failed to remove backup helper container for ${job.name}.`, error);
+    });
+  }
+  const { size } = await fs.promises.stat(file);
+  return { file, sizeBytes: size };
+}
+
+// Oldest first; archive names sort by time.
+async function listArchives(job) {
+  const pattern = new RegExp(`^${job.name}-\\d{4}-\\d\\d-\\d\\dT\\d\\d-\\d\\d-\\d\\dZ\\.tar\\.gz$`);
+  const names = (await fs.promises.readdir(job.targetDir)).filter((name) => pattern.test(name)).sort();
+  return Promise.all(
+    names.map(async (name) => ({
+      name,
+      sizeBytes: (await fs.promises.stat(path.join(job.targetDir, name))).size,
+    }))
+  );
+}
+
+async function applyRetention(job) {
+  const archives = await listArchives(job);
+  const expired = archives.slice(0, Math.max(archives.length - job.keep, 0));
+  for (const archive of expired) {
+    await fs.promises.rm(path.join(job.targetDir, archive.name));
+  }
+  return expired;
+}
+
+export function formatBackupResult(result) {
+  const duration = formatRunDuration(result.durationMs);
+  if (!result.file) {
+    return `❌ **${result.job}** failed after ${duration}: ${result.errors.join('; ')}`;
+  }
+  const removed = result.removedArchives
+    ? ` (removed ${result.removedArchives} old archive${result.removedArchives === 1 ? '' : 's'})`
+    : '';
+  const line = `**${result.job}** — ${formatBytes(result.sizeBytes)} in ${duration} → \`${result.file}\`${removed}`;
+  return result.errors.length ? `⚠️ ${line}\n  ${result.errors.join('; ')}` : `✅ ${line}`;
+}
+
+export function formatBackupList(jobs) {
+  if (!jobs.length) {
+    return 'No backup jobs configured.';
+  }
+  return jobs
+    .map((job) => {
+      const sources = [
+        ...job.volumes.map((volumeName) => `volume ${volumeName}`),
+        ...job.paths.map((hostPath) => `path ${hostPath}`),
+      ];
+      const schedule = job.cron ? `\`${job.cron}\`` : 'on demand only';
+      const host = job.host ? ` on ${job.host}` : '';
+      const quiesce = job.containers.length ? `; stops ${job.containers.join(', ')}` : '';
+      return `**${job.name}**${host} — ${schedule}; ${sources.join(', ')}${quiesce}; keeps ${job.keep} in \`${job.targetDir}\``;
+    })
+    .join('\n');
+}
+
+export function formatBackupStatus(entries) {
+  if (!entries.length) {
+    return 'No backup jobs configured.';
+  }
+  return entries
+    .map(({ job, lastRun, archives }) => {
+      const stored = `${archives.length} archive${archives.length === 1 ? '' : 's'}, ${formatBytes(
+        archives.reduce((total, archive) => total + archive.sizeBytes, 0)
+      )}`;
+      if (!lastRun) return `⚪ **${job.name}** — never run (${stored})`;
+      const at = `<t:${Math.floor(new Date(lastRun.startedAt).getTime() / 1000)}:R>`;
+      return `${formatBackupResult(lastRun)}\n  last run ${at}; ${stored}`;
+    })
+    .join('\n');
+}
+
+function formatRunDuration(milliseconds) {
+  const seconds = Math.round(milliseconds / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((entry) => typeof entry === 'string');
+}
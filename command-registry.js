@@ -0,0 +1,107 @@
+import { createHash } from 'node:crypto';
+import { MESSAGE_LIMIT } from './long-output.js';
+
+// Slash commands are modules in commands/, each declaring everything about
+// itself in one place:
+//
+// {
+//   data: new SlashCommandBuilder()...,          // what Discord registers
+//   tier: 'operator',                            // permission tier
+//   subcommandTiers: { list: 'read-only' },      // optional per-subcommand tiers
+//   help: ['/stack list — List Docker Compose stacks', ...],
+//   async execute(interaction, bot) {},          // bot holds the shared services
+//   async autocomplete(interaction, focused, bot) {},  // optional, resolves with names
+// }
+//
+// Registration, /help and the permission tiers are all derived from that list.
+
+export function createCommandRegistry(commands) {
+  const byName = new Map(commands.map((command) => [command.data.name, command]));
+
+  function toJSON() {
+    return commands.map((command) => command.data.toJSON());
+  }
+
+  return {
+    list() {
+      return commands;
+    },
+    get(name) {
+      return byName.get(name) ?? null;
+    },
+    toJSON,
+    // Changes whenever anything Discord would see changes.
+    hash() {
+      return createHash('sha256').update(JSON.stringify(toJSON())).digest('hex');
+    },
+    tiers() {
+      const tiers = {};
+      for (const command of commands) {
+        tiers[command.data.name] = command.tier;
+        for (const [subcommand, tier] of Object.entries(command.subcommandTiers ?? {})) {
+          tiers[`${command.data.name} ${subcommand}`] = tier;
+        }
+      }
+      return tiers;
+    },
+    // One message per entry, split between commands.
+    helpMessages() {
+      const hostCommands = commands
+        .filter((command) => hasOption(command.data.toJSON(), 'host'))
+        .map((command) => `/${command.data.name}`);
+      const blocks = [
+        'Available commands:',
+        ...commands.map((command) => command.help.join('\n')),
+        `${hostCommands.join(', ')} take an optional [host] when several Docker hosts are configured.`,
+      ];
+      const messages = [];
+      for (const block of blocks) {
+        const last = messages.at(-1);
+        if (last !== undefined && last.length + 1 + block.length <= MESSAGE_LIMIT) {
+          messages[messages.length - 1] = `${last}\n${block}`;
+        } else {
+          messages.push(block);
+        }
+      }
+      return messages;
+    },
+    // Every handler runs through here: an exception is logged and the user
+    // still gets an answer, whether or not the handler had replied yet.
+    async execute(interaction, bot) {
+      const command = byName.get(interaction.commandName);
+      if (!command) {
+        await interaction.reply({ content: 'Unknown command.', ephemeral: true });
+        return 'unknown';
+      }
+      try {
+        await command.execute(interaction, bot);
+        return 'ok';
+      } catch (error) {
+        console.error(`Failed to handle /${interaction.commandName}.`, error);
+        await replyWithError(interaction);
+        return 'error';
+      }
+    },
+    async autocomplete(interaction, focused, bot) {
+      const command = byName.get(interaction.commandName);
+      return (await command?.autocomplete?.(interaction, focused, bot)) ?? [];
+    },
+  };
+}
+
+async function replyWithError(interaction) {
+  const content = 'Something went wrong running that command; details are in the bot log.';
+  try {
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content, components: [], embeds: [], attachments: [] });
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+  } catch (error) {
+    console.error(`Failed to report the error for /${interaction.commandName}.`, error);
+  }
+}
+
+function hasOption(data, name) {
+  return (data.options ?? []).some((option) => option.name === name || hasOption(option, name));
+}
@@ -0,0 +1,78 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { formatAlertList } from '../alert-rules.js';
+import { rankContainerNames } from '../container-autocomplete.js';
+import { parseDuration } from '../duration.js';
+import { linesReply } from '../long-output.js';
+
+export const alertsCommand = {
+  data: new SlashCommandBuilder()
+    .setName('alerts')
+    .setDescription('Inspect and manage alert rules')
+    .addSubcommand((subcommand) =>
+      subcommand.setName('list').setDescription('Show alert rules and their state')
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('ack')
+        .setDescription('Acknowledge a firing alert')
+        .addStringOption(alertRuleOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('silence')
+        .setDescription('Silence an alert for a while')
+        .addStringOption(alertRuleOption)
+        .addStringOption((option) =>
+          option
+            .setName('duration')
+            .setDescription('How long, e.g. 30m, 2h, 1d (0 to unmute)')
+            .setRequired(true)
+        )
+    ),
+  tier: 'operator',
+  subcommandTiers: { list: 'read-only' },
+  help: [
+    '/alerts list — Show alert rules and their state',
+    '/alerts ack <rule> — Stop reminders for a firing alert until it resolves',
+    '/alerts silence <rule> <duration> — Mute an alert for a while (0 to unmute)',
+  ],
+  async execute(interaction, bot) {
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+      await interaction.deferReply({ ephemeral: false });
+      const entries = await bot.alertEngine.list();
+      await interaction.editReply({
+        ...linesReply(formatAlertList(entries).split('\n'), { fileName: 'alerts.txt' }),
+        allowedMentions: { parse: [] },
+      });
+      return;
+    }
+    const ruleName = interaction.options.getString('rule', true);
+    if (subcommand === 'ack') {
+      await interaction.reply(await bot.alertEngine.acknowledge(ruleName, interaction.user.id));
+      return;
+    }
+    const durationText = interaction.options.getString('duration', true);
+    const durationMs = parseDuration(durationText);
+    if (durationMs === null) {
+      await interaction.reply({
+        content: `Invalid duration '${durationText}'. Use values like 30m, 2h or 1d.`,
+        ephemeral: true,
+      });
+      return;
+    }
+    await interaction.reply(await bot.alertEngine.silence(ruleName, durationMs, interaction.user.id));
+  },
+  async autocomplete(interaction, focused, bot) {
+    if (focused.name !== 'rule') return [];
+    return rankContainerNames(await bot.alertEngine.ruleNames(), focused.value).slice(0, 25);
+  },
+};
+
+function alertRuleOption(option) {
+  return option
+    .setName('rule')
+    .setDescription('Alert rule name')
+    .setRequired(true)
+    .setAutocomplete(true);
+}
@@ -0,0 +1,34 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { formatAuditEntry } from '../audit-log.js';
+import { linesReply } from '../long-output.js';
+
+export const auditCommand = {
+  data: new SlashCommandBuilder()
+    .setName('audit')
+    .setDescription('Show recent container actions')
+    .addUserOption((option) => option.setName('user').setDescription('Only actions by this user'))
+    .addStringOption((option) =>
+      option.setName('container').setDescription('Only actions on this container').setAutocomplete(true)
+    )
+    .addIntegerOption((option) =>
+      option.setName('limit').setDescription('Number of entries (max 25)').setMinValue(1).setMaxValue(25)
+    ),
+  tier: 'operator',
+  help: ['/audit [user] [container] [limit] — Show recent container actions'],
+  async execute(interaction, bot) {
+    await interaction.deferReply({ ephemeral: false });
+    const user = interaction.options.getUser('user');
+    const target = interaction.options.getString('container');
+    const limit = interaction.options.getInteger('limit');
+    const entries = await bot.auditLog.query({ userId: user?.id, container: target, limit });
+    if (entries.length === 0) {
+      await interaction.editReply('No matching audit entries.');
+      return;
+    }
+    const lines = entries.map((entry) => formatAuditEntry(entry));
+    await interaction.editReply({
+      ...linesReply(lines, { fileName: 'audit.txt' }),
+      allowedMentions: { parse: [] },
+    });
+  },
+};
@@ -0,0 +1,104 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { formatBackupList, formatBackupResult, formatBackupStatus } from '../backups.js';
+import { rankContainerNames } from '../container-autocomplete.js';
+import { linesReply } from '../long-output.js';
+
+export const backupCommand = {
+  data: new SlashCommandBuilder()
+    .setName('backup')
+    .setDescription('Backup jobs')
+    .addSubcommand((subcommand) =>
+      subcommand.setName('list').setDescription('Show backup jobs and their schedules')
+    )
+    .addSubcommand((subcommand) =>
+      subcommand.setName('status').setDescription("Show each job's last run and stored archives")
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('run')
+        .setDescription('Run a backup job now (all jobs if omitted)')
+        .addStringOption((option) =>
+          option.setName('job').setDescription('Backup job name').setAutocomplete(true)
+        )
+    ),
+  tier: 'operator',
+  subcommandTiers: { list: 'read-only', status: 'read-only' },
+  help: [
+    '/backup list — Show backup jobs and their schedules',
+    "/backup status — Show each backup job's last run and stored archives",
+    '/backup run [job] — Run one backup job, or all of them in order, now',
+  ],
+  async execute(interaction, bot) {
+    const { backups } = bot;
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+      await interaction.reply(
+        linesReply(formatBackupList(backups.list()).split('\n'), { fileName: 'backups.txt' })
+      );
+      return;
+    }
+    if (subcommand === 'status') {
+      await interaction.deferReply({ ephemeral: false });
+      const entries = await backups.status();
+      await interaction.editReply(
+        linesReply(formatBackupStatus(entries).split('\n'), { fileName: 'backup-status.txt' })
+      );
+      return;
+    }
+
+    const jobName = interaction.options.getString('job');
+    const jobs = jobName ? [backups.get(jobName)].filter(Boolean) : backups.list();
+    if (!jobs.length) {
+      await interaction.reply({
+        content: jobName ? `Backup job '${jobName}' not found.` : 'No backup jobs configured.',
+        ephemeral: true,
+      });
+      return;
+    }
+    const denied = jobs
+      .flatMap((job) => job.containers)
+      .map((containerName) => bot.checkInteractionPermission(interaction, containerName))
+      .find((permission) => !permission.allowed);
+    if (denied) {
+      await interaction.reply({ content: denied.message, ephemeral: true });
+      return;
+    }
+
+    const containers = [...new Set(jobs.flatMap((job) => job.containers))];
+    const confirmed = await bot.confirmAction(interaction, {
+      prompt: `Run ${jobName ? `backup job \`${jobName}\`` : `all ${jobs.length} backup jobs`}?${
+        containers.length ? ` This stops ${containers.join(', ')} while archiving.` : ''
+      }`,
+      confirmLabel: 'Run backup',
+      pendingMessage: `Backing up ${jobName ?? 'all jobs'}…`,
+    });
+    if (!confirmed) return;
+
+    const results = await backups.run(jobName ?? undefined);
+    const failed = results.filter((result) => !result.ok).length;
+    await bot.auditLog.record({
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      action: 'backup run',
+      target: jobName ?? 'all jobs',
+      result: failed ? (failed === results.length ? 'failed' : 'partial') : 'success',
+    });
+    try {
+      await interaction.editReply({
+        ...linesReply(results.map(formatBackupResult), { fileName: 'backup.txt' }),
+        components: [],
+      });
+    } catch (error) {
+      // Interaction tokens expire after 15 minutes; long runs report to the channel instead.
+      console.error('Failed to reply with backup results.', error);
+      await backups.report(results);
+    }
+  },
+  async autocomplete(interaction, focused, bot) {
+    if (focused.name !== 'job') return [];
+    return rankContainerNames(
+      bot.backups.list().map((job) => job.name),
+      focused.value
+    ).slice(0, 25);
+  },
+};
@@ -0,0 +1,43 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { buildContainerPages, replyWithPages } from '../discord-views.js';
+import { linesReply } from '../long-output.js';
+import { hostOption } from './options.js';
+
+export const containersCommand = {
+  data: new SlashCommandBuilder()
+    .setName('containers')
+    .setDescription('List running containers')
+    .addStringOption(hostOption),
+  tier: 'read-only',
+  help: ['/containers — List running containers and pick one to restart, stop, start or view logs'],
+  async execute(interaction, bot) {
+    const { host } = bot;
+    await interaction.deferReply({ ephemeral: false });
+    let containers;
+    try {
+      containers = await bot.listRunningContainersWithUptime(host.docker);
+    } catch (error) {
+      console.error('Failed to list running containers.', error);
+      await interaction.editReply('Unable to list running containers right now.');
+      return;
+    }
+    if (containers.length === 0) {
+      await interaction.editReply(`No running containers found${bot.hostSuffix(host)}.`);
+      return;
+    }
+    if (interaction.inGuild()) {
+      await replyWithPages(
+        interaction,
+        buildContainerPages(containers, { hostName: bot.isMultiHost ? host.name : null }),
+        {
+          onSelect: (selectInteraction, containerName) =>
+            bot.showContainerDetail(selectInteraction, host, containerName),
+          placeholder: 'Pick a container for actions',
+        }
+      );
+    } else {
+      const containerNames = containers.map((container) => container.name);
+      await interaction.editReply(linesReply(containerNames, { fileName: 'containers.txt' }));
+    }
+  },
+};
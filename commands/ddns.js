@@ -0,0 +1,69 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { rankContainerNames } from '../container-autocomplete.js';
+import { formatDdnsStatus } from '../ddns.js';
+import { linesReply } from '../long-output.js';
+
+export const ddnsCommand = {
+  data: new SlashCommandBuilder()
+    .setName('ddns')
+    .setDescription('Dynamic DNS records')
+    .addSubcommand((subcommand) =>
+      subcommand.setName('status').setDescription('Show DDNS records and their last update')
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('sync')
+        .setDescription('Push the current public IP to DDNS records now')
+        .addStringOption((option) =>
+          option.setName('record').setDescription('Only this record').setAutocomplete(true)
+        )
+    ),
+  tier: 'operator',
+  subcommandTiers: { status: 'read-only' },
+  help: [
+    '/ddns status — Show dynamic DNS records and their last update',
+    '/ddns sync [record] — Push the current public IP to DDNS records now',
+  ],
+  async execute(interaction, bot) {
+    if (interaction.options.getSubcommand() === 'status') {
+      const entries = await bot.ddns.status();
+      await interaction.reply(
+        linesReply(formatDdnsStatus(entries).split('\n'), { fileName: 'ddns.txt' })
+      );
+      return;
+    }
+
+    const recordName = interaction.options.getString('record');
+    if (recordName && !(await bot.ddns.names()).includes(recordName)) {
+      await interaction.reply({ content: `DDNS record '${recordName}' not found.`, ephemeral: true });
+      return;
+    }
+    await interaction.deferReply({ ephemeral: false });
+    const addresses = await bot.externalIp.check();
+    const results = await bot.ddns.sync(addresses, { force: true, only: recordName ?? undefined });
+    if (!results.length) {
+      await interaction.editReply(
+        'No DDNS records to update (no records configured, or the public IP is unknown).'
+      );
+      return;
+    }
+    const failed = results.filter((result) => !result.ok).length;
+    await bot.auditLog.record({
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      action: 'ddns sync',
+      target: recordName ?? 'all records',
+      result: failed ? (failed === results.length ? 'failed' : 'partial') : 'success',
+    });
+    const lines = results.map((result) =>
+      result.ok
+        ? `✅ **${result.record.name}** — ${result.message}`
+        : `❌ **${result.record.name}** — ${result.message}`
+    );
+    await interaction.editReply(linesReply(lines, { fileName: 'ddns-sync.txt' }));
+  },
+  async autocomplete(interaction, focused, bot) {
+    if (focused.name !== 'record') return [];
+    return rankContainerNames(await bot.ddns.names(), focused.value).slice(0, 25);
+  },
+};
@@ -0,0 +1,128 @@
+import { SlashCommandBuilder } from 'discord.js';
+import {
+  executePrune,
+  formatDiskUsage,
+  formatPrunePlan,
+  formatPruneResult,
+  formatVolumeList,
+  planPrune,
+  readDiskUsage,
+} from '../docker-housekeeping.js';
+import { linesReply } from '../long-output.js';
+import { hostOption } from './options.js';
+
+export const dockerCommand = {
+  data: new SlashCommandBuilder()
+    .setName('docker')
+    .setDescription('Docker disk usage and cleanup')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('df')
+        .setDescription('Show disk usage and reclaimable space')
+        .addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('volumes')
+        .setDescription('List volumes with their size and users')
+        .addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('prune')
+        .setDescription('Preview and remove unused Docker objects')
+        .addStringOption((option) =>
+          option
+            .setName('target')
+            .setDescription('What to prune')
+            .setRequired(true)
+            .addChoices(
+              { name: 'images', value: 'images' },
+              { name: 'containers', value: 'containers' },
+              { name: 'volumes', value: 'volumes' },
+              { name: 'build cache', value: 'builder' }
+            )
+        )
+        .addBooleanOption((option) =>
+          option
+            .setName('all')
+            .setDescription('Include tagged images, named volumes and shared build cache')
+        )
+        .addStringOption(hostOption)
+    ),
+  tier: 'admin',
+  subcommandTiers: { df: 'read-only', volumes: 'read-only' },
+  help: [
+    '/docker df — Show Docker disk usage and how much is reclaimable',
+    '/docker volumes — List volumes with their size and users',
+    '/docker prune <target> [all] — Preview, then confirm, removing unused images, containers, volumes or build cache',
+  ],
+  async execute(interaction, bot) {
+    const { host } = bot;
+    const subcommand = interaction.options.getSubcommand();
+    await interaction.deferReply({ ephemeral: false });
+    if (subcommand === 'df' || subcommand === 'volumes') {
+      let usage;
+      try {
+        usage = await readDiskUsage(host.docker);
+      } catch (error) {
+        console.error(`Failed to read Docker disk usage${bot.hostSuffix(host)}.`, error);
+        await interaction.editReply('Unable to read Docker disk usage right now.');
+        return;
+      }
+      await interaction.editReply(
+        subcommand === 'df'
+          ? formatDiskUsage(usage, `💽 **Docker disk usage${bot.hostSuffix(host)}**`)
+          : linesReply(formatVolumeList(usage), { fileName: 'volumes.txt' })
+      );
+      return;
+    }
+
+    const target = interaction.options.getString('target', true);
+    let plan;
+    try {
+      plan = await planPrune(host.docker, target, {
+        all: interaction.options.getBoolean('all') ?? false,
+      });
+    } catch (error) {
+      console.error(`Failed to plan ${target} prune${bot.hostSuffix(host)}.`, error);
+      await interaction.editReply('Unable to work out what to prune right now.');
+      return;
+    }
+    if (!plan.items.length) {
+      await interaction.editReply(formatPrunePlan(plan));
+      return;
+    }
+
+    const confirmed = await bot.confirmAction(interaction, {
+      prompt: `${formatPrunePlan(plan)}\nRemove them${bot.hostSuffix(host)}?`,
+      confirmLabel: 'Prune',
+      pendingMessage: `Pruning ${target}…`,
+    });
+    if (!confirmed) return;
+
+    let result;
+    try {
+      result = await executePrune(host.docker, plan);
+    } catch (error) {
+      console.error(`Failed to prune ${target}${bot.hostSuffix(host)}.`, error);
+      result = null;
+    }
+    if (target === 'containers' && result?.removed) {
+      host.autocomplete.invalidate();
+    }
+    await bot.auditLog.record({
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      action: 'docker prune',
+      target: plan.all ? `${target} (all)` : target,
+      ...(bot.isMultiHost ? { host: host.name } : {}),
+      result: !result ? 'failed' : result.failed.length ? 'partial' : 'success',
+      detail: result ? `${result.removed} removed` : undefined,
+    });
+    await interaction.editReply({
+      content: result ? formatPruneResult(plan, result) : `Unable to prune ${target} right now.`,
+      components: [],
+    });
+  },
+};
@@ -0,0 +1,85 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { rankContainerNames } from '../container-autocomplete.js';
+import { formatExecOutput, formatExecSummary, runExecAction } from '../exec-actions.js';
+import { codeBlockReply } from '../long-output.js';
+import { containerOption, hostOption } from './options.js';
+
+export const execCommand = {
+  data: new SlashCommandBuilder()
+    .setName('exec')
+    .setDescription('Run a named action from the exec catalog inside a container')
+    .addStringOption(containerOption)
+    .addStringOption((option) =>
+      option.setName('action').setDescription('Catalog action').setRequired(true).setAutocomplete(true)
+    )
+    .addStringOption(hostOption),
+  tier: 'operator',
+  help: ['/exec <container> <action> — Run a named action from the exec catalog inside a container'],
+  async execute(interaction, bot) {
+    const { host } = bot;
+    const target = interaction.options.getString('container', true);
+    const { action, message } = bot.execCatalog.get(
+      interaction.options.getString('action', true),
+      target
+    );
+    if (!action) {
+      await interaction.reply({ content: message, ephemeral: true });
+      return;
+    }
+    if (action.confirm) {
+      const confirmed = await bot.confirmAction(interaction, {
+        prompt: `Run \`${action.name}\` (\`${action.command.join(' ')}\`) in \`${target}\`${bot.hostSuffix(host)}?`,
+        confirmLabel: 'Run',
+        pendingMessage: `Running ${action.name} in ${target}…`,
+      });
+      if (!confirmed) return;
+    } else {
+      await interaction.deferReply({ ephemeral: false });
+    }
+
+    const auditEntry = {
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      action: `exec ${action.name}`,
+      target,
+      ...(bot.isMultiHost ? { host: host.name } : {}),
+    };
+    let result;
+    try {
+      result = await runExecAction(host.docker, target, action);
+    } catch (error) {
+      let reply = `Unable to run ${action.name} in ${target} right now.`;
+      if (error?.statusCode === 404) {
+        reply = `Container '${target}' not found${bot.hostSuffix(host)}.`;
+      } else if (error?.statusCode === 409) {
+        reply = `${target} is not running.`;
+      } else {
+        console.error(`Failed to run ${action.name} in ${target}.`, error);
+      }
+      await bot.auditLog.record({ ...auditEntry, result: 'failed', detail: reply });
+      await interaction.editReply({ content: reply, components: [] });
+      return;
+    }
+
+    await bot.auditLog.record({
+      ...auditEntry,
+      result: result.exitCode === 0 ? 'success' : 'failed',
+      detail: result.timedOut ? 'timed out' : `exit code ${result.exitCode}`,
+    });
+    const summary = formatExecSummary(action, `${target}${bot.hostSuffix(host)}`, result);
+    const output = formatExecOutput(result);
+    await interaction.editReply({
+      ...(output
+        ? codeBlockReply(output, { fileName: `${target}-${action.name}.log`, summary })
+        : { content: summary }),
+      components: [],
+    });
+  },
+  async autocomplete(interaction, focused, bot) {
+    if (focused.name !== 'action') return [];
+    const actionNames = bot.execCatalog
+      .list(interaction.options.getString('container'))
+      .map((action) => action.name);
+    return rankContainerNames(actionNames, focused.value).slice(0, 25);
+  },
+};
@@ -0,0 +1,14 @@
+import { SlashCommandBuilder } from 'discord.js';
+
+export const helpCommand = {
+  data: new SlashCommandBuilder().setName('help').setDescription('Show available commands'),
+  tier: 'read-only',
+  help: ['/help — Show this help message'],
+  async execute(interaction, bot) {
+    const [first, ...rest] = bot.commands.helpMessages();
+    await interaction.reply(first);
+    for (const message of rest) {
+      await interaction.followUp(message);
+    }
+  },
+};
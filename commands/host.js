@@ -0,0 +1,25 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { collectHostMetrics, formatHostMetrics } from '../host-metrics.js';
+import { linesReply } from '../long-output.js';
+
+export const hostCommand = {
+  data: new SlashCommandBuilder()
+    .setName('host')
+    .setDescription('Show host CPU, memory, disk and temperature'),
+  tier: 'read-only',
+  help: ['/host — Show host CPU, memory, disk and temperature'],
+  async execute(interaction, bot) {
+    await interaction.deferReply({ ephemeral: false });
+    let metrics;
+    try {
+      metrics = await collectHostMetrics(bot.hostMetricsOptions);
+    } catch (error) {
+      console.error('Failed to read host metrics.', error);
+      await interaction.editReply('Unable to read host metrics right now.');
+      return;
+    }
+    await interaction.editReply(
+      linesReply(formatHostMetrics(metrics).split('\n'), { fileName: 'host.txt' })
+    );
+  },
+};
@@ -0,0 +1,53 @@
+import { alertsCommand } from './alerts.js';
+import { auditCommand } from './audit.js';
+import { backupCommand } from './backup.js';
+import { containersCommand } from './containers.js';
+import { ddnsCommand } from './ddns.js';
+import { dockerCommand } from './docker.js';
+import { execCommand } from './exec.js';
+import { helpCommand } from './help.js';
+import { hostCommand } from './host.js';
+import { ipCommand } from './ip.js';
+import { logsCommand } from './logs.js';
+import { maintenanceCommand } from './maintenance.js';
+import { pingCommand } from './ping.js';
+import { probesCommand } from './probes.js';
+import { restartCommand } from './restart.js';
+import { scheduleActionCommand } from './schedule-action.js';
+import { scheduleCommand } from './schedule.js';
+import { stackCommand } from './stack.js';
+import { startCommand } from './start.js';
+import { statsCommand } from './stats.js';
+import { statusCommand } from './status.js';
+import { stopCommand } from './stop.js';
+import { updateCommand } from './update.js';
+import { uptimeCommand } from './uptime.js';
+
+// Every slash command the bot registers, in /help order. A new command is a
+// module in this directory plus one entry here.
+export const COMMANDS = [
+  helpCommand,
+  pingCommand,
+  statusCommand,
+  containersCommand,
+  uptimeCommand,
+  ipCommand,
+  ddnsCommand,
+  hostCommand,
+  restartCommand,
+  stopCommand,
+  startCommand,
+  logsCommand,
+  statsCommand,
+  probesCommand,
+  auditCommand,
+  stackCommand,
+  dockerCommand,
+  backupCommand,
+  execCommand,
+  updateCommand,
+  alertsCommand,
+  scheduleCommand,
+  maintenanceCommand,
+  scheduleActionCommand,
+];
@@ -0,0 +1,52 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { familyLabel, formatIpHistory } from '../external-ip.js';
+import { linesReply } from '../long-output.js';
+
+export const ipCommand = {
+  data: new SlashCommandBuilder()
+    .setName('ip')
+    .setDescription('Show and track the homelab IP')
+    .addSubcommand((subcommand) =>
+      subcommand.setName('show').setDescription('Show the host IP and public IPv4/IPv6 addresses')
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('history')
+        .setDescription('Show when the public IP changed')
+        .addIntegerOption((option) =>
+          option
+            .setName('limit')
+            .setDescription('Number of changes (max 50)')
+            .setMinValue(1)
+            .setMaxValue(50)
+        )
+    ),
+  tier: 'read-only',
+  help: [
+    '/ip show — Show the host IP and the public IPv4/IPv6 addresses',
+    '/ip history [limit] — Show when the public IP changed',
+  ],
+  async execute(interaction, bot) {
+    await interaction.deferReply({ ephemeral: false });
+    if (interaction.options.getSubcommand() === 'history') {
+      const entries = await bot.externalIp.history(interaction.options.getInteger('limit') ?? 10);
+      await interaction.editReply(
+        linesReply(formatIpHistory(entries).split('\n'), { fileName: 'ip-history.txt' })
+      );
+      return;
+    }
+
+    const lines = [`Host IP: ${bot.getGatewayIpAddress()}`];
+    try {
+      await bot.externalIp.check();
+      for (const { family, address, since } of await bot.externalIp.details()) {
+        const changed = since ? ` (since <t:${Math.floor(new Date(since).getTime() / 1000)}:f>)` : '';
+        lines.push(`External ${familyLabel(family)}: ${address ?? 'unknown'}${address ? changed : ''}`);
+      }
+    } catch (error) {
+      console.error('Failed to read the external IP.', error);
+      lines.push('Unable to read the external IP right now.');
+    }
+    await interaction.editReply(lines.join('\n'));
+  },
+};
@@ -0,0 +1,173 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  SlashCommandBuilder,
+} from 'discord.js';
+import { followContainerLogs, parseLineFilter } from '../container-logs.js';
+import { parseDuration } from '../duration.js';
+import { containerOption, hostOption } from './options.js';
+
+const activeLogFollows = new Set();
+
+export const logsCommand = {
+  data: new SlashCommandBuilder()
+    .setName('logs')
+    .setDescription('Show or follow Docker logs')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('show')
+        .setDescription('Show recent Docker logs')
+        .addStringOption(containerOption)
+        .addIntegerOption((option) =>
+          option
+            .setName('lines')
+            .setDescription('Number of log lines (default 10, or everything in the range)')
+            .setMinValue(1)
+            .setMaxValue(10000)
+        )
+        .addStringOption((option) =>
+          option.setName('since').setDescription('Start of the range, e.g. 2h or 2024-05-01T08:00')
+        )
+        .addStringOption((option) =>
+          option.setName('until').setDescription('End of the range, e.g. 30m or 2024-05-01T09:00')
+        )
+        .addStringOption((option) =>
+          option.setName('grep').setDescription('Only lines containing this text, or /regex/')
+        )
+        .addBooleanOption((option) => option.setName('stderr').setDescription('Only stderr lines'))
+        .addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('follow')
+        .setDescription('Stream live logs into a thread')
+        .addStringOption(containerOption)
+        .addStringOption((option) =>
+          option.setName('filter').setDescription('Only lines containing this text, or /regex/')
+        )
+        .addStringOption((option) =>
+          option.setName('duration').setDescription('How long to follow, e.g. 10m or 1h (default 10m)')
+        )
+        .addStringOption(hostOption)
+    ),
+  tier: 'read-only',
+  help: [
+    '/logs show <container> [lines] [since] [until] [grep] [stderr] — Show Docker logs, attached as a file when long',
+    '/logs follow <container> [filter] [duration] — Stream logs into a thread (filter: text or /regex/)',
+  ],
+  async execute(interaction, bot) {
+    if (interaction.options.getSubcommand() === 'follow') {
+      await followLogsInThread(interaction, bot);
+      return;
+    }
+    await interaction.deferReply({ ephemeral: false });
+    const target = interaction.options.getString('container', true);
+    const result = await bot.getContainerLogs(bot.host, target, {
+      lines: interaction.options.getInteger('lines'),
+      since: interaction.options.getString('since'),
+      until: interaction.options.getString('until'),
+      grep: interaction.options.getString('grep'),
+      stderrOnly: interaction.options.getBoolean('stderr') ?? false,
+    });
+    await interaction.editReply(result);
+  },
+};
+
+async function followLogsInThread(interaction, bot) {
+  const { host } = bot;
+  const target = interaction.options.getString('container', true);
+  const filterText = interaction.options.getString('filter');
+  const durationText = interaction.options.getString('duration');
+  const durationMs = durationText ? parseDuration(durationText) : 10 * 60 * 1000;
+  const filter = parseLineFilter(filterText);
+
+  let problem = null;
+  if (!durationMs) {
+    problem = `Invalid duration '${durationText}'. Use something like 10m or 1h.`;
+  } else if (!filter) {
+    problem = `Invalid filter regex ${filterText}.`;
+  } else if (!interaction.inGuild() || !interaction.channel?.threads) {
+    problem = 'Live logs need a server text channel that supports threads.';
+  } else if (activeLogFollows.size >= bot.logFollow.maxStreams) {
+    problem = `Already following ${activeLogFollows.size} log streams; stop one first.`;
+  }
+  if (problem) {
+    await interaction.reply({ content: problem, ephemeral: true });
+    return;
+  }
+
+  const followMs = Math.min(durationMs, bot.logFollow.maxMs);
+  const stopId = `logs-stop:${interaction.id}`;
+  const filterNote = filterText ? ` matching \`${filterText}\`` : '';
+  const endsAt = Math.floor((Date.now() + followMs) / 1000);
+  const response = await interaction.reply({
+    content: `📜 Following logs for **${target}**${bot.hostSuffix(host)}${filterNote} until <t:${endsAt}:t>.`,
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(stopId).setLabel('Stop').setStyle(ButtonStyle.Secondary)
+      ),
+    ],
+    withResponse: true,
+  });
+  const message = response.resource.message;
+
+  let thread;
+  let follow;
+  try {
+    thread = await message.startThread({
+      name: `logs: ${target}`.slice(0, 100),
+      autoArchiveDuration: 60,
+    });
+    follow = await followContainerLogs({
+      docker: host.docker,
+      containerName: target,
+      filter,
+      durationMs: followMs,
+      send: (content) => thread.send(content),
+    });
+  } catch (error) {
+    const notFound = error?.statusCode === 404;
+    if (!notFound) {
+      console.error(`Failed to follow logs for ${target}.`, error);
+    }
+    await interaction.editReply({
+      content: notFound
+        ? `Container '${target}' not found.`
+        : `Unable to follow logs for ${target} right now.`,
+      components: [],
+    });
+    await thread?.delete().catch(() => {});
+    return;
+  }
+
+  activeLogFollows.add(follow);
+  const collector = message.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    time: followMs,
+  });
+  collector.on('collect', async (button) => {
+    const permission = bot.checkComponentPermission(button, 'logs', target);
+    if (!permission.allowed) {
+      await button.reply({ content: permission.message, ephemeral: true });
+      return;
+    }
+    await button.deferUpdate();
+    follow.stop(`stopped by ${button.user.tag}`);
+  });
+
+  const reason = await follow.finished;
+  activeLogFollows.delete(follow);
+  collector.stop();
+  try {
+    await thread.send(`⏹️ Log stream ended: ${reason}.`);
+    // The interaction token expires after 15 minutes, so edit the message directly.
+    await message.edit({
+      content: `📜 Followed logs for **${target}**${bot.hostSuffix(host)}${filterNote} (${reason}).`,
+      components: [],
+    });
+  } catch (error) {
+    console.error(`Failed to close log stream for ${target}.`, error);
+  }
+}
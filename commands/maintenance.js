@@ -0,0 +1,90 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { parseDuration } from '../duration.js';
+import { formatMaintenance } from '../maintenance.js';
+
+export const maintenanceCommand = {
+  data: new SlashCommandBuilder()
+    .setName('maintenance')
+    .setDescription('Maintenance windows that mute alerts')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('start')
+        .setDescription('Mute alerts and mark the homelab as in maintenance')
+        .addStringOption((option) =>
+          option.setName('duration').setDescription('How long, e.g. 30m, 2h or 1d').setRequired(true)
+        )
+        .addStringOption((option) =>
+          option
+            .setName('containers')
+            .setDescription('Comma-separated containers to mute (default: all alerts)')
+        )
+    )
+    .addSubcommand((subcommand) => subcommand.setName('end').setDescription('End maintenance now'))
+    .addSubcommand((subcommand) =>
+      subcommand.setName('status').setDescription('Show the current maintenance window')
+    ),
+  tier: 'operator',
+  subcommandTiers: { status: 'read-only' },
+  help: [
+    '/maintenance start <duration> [containers] — Mute alerts (all, or for some containers) and flag reports as in maintenance',
+    '/maintenance end — End maintenance now',
+    '/maintenance status — Show the current maintenance window',
+  ],
+  async execute(interaction, bot) {
+    const { maintenance } = bot;
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'status') {
+      const window = maintenance.current();
+      await interaction.reply(window ? formatMaintenance(window) : 'No maintenance window is open.');
+      return;
+    }
+
+    if (subcommand === 'end') {
+      const closed = await maintenance.close();
+      if (!closed) {
+        await interaction.reply({ content: 'No maintenance window is open.', ephemeral: true });
+        return;
+      }
+      await bot.auditLog.record({
+        userId: interaction.user.id,
+        userTag: interaction.user.tag,
+        action: 'maintenance end',
+        target: closed.containers.length ? closed.containers.join(', ') : 'all',
+        result: 'success',
+      });
+      await interaction.reply('🛠️ Maintenance ended; alerts are back on.');
+      return;
+    }
+
+    const durationText = interaction.options.getString('duration', true);
+    const durationMs = parseDuration(durationText);
+    if (!durationMs) {
+      await interaction.reply({
+        content: `Invalid duration '${durationText}'. Use values like 30m, 2h or 1d.`,
+        ephemeral: true,
+      });
+      return;
+    }
+    const containers = (interaction.options.getString('containers') ?? '')
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    const denied = containers
+      .map((containerName) => bot.checkInteractionPermission(interaction, containerName))
+      .find((permission) => !permission.allowed);
+    if (denied) {
+      await interaction.reply({ content: denied.message, ephemeral: true });
+      return;
+    }
+
+    const window = await maintenance.open({ durationMs, containers, startedBy: interaction.user.tag });
+    await bot.auditLog.record({
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      action: 'maintenance start',
+      target: containers.length ? containers.join(', ') : 'all',
+      result: 'success',
+      detail: `until ${window.until}`,
+    });
+    await interaction.reply(formatMaintenance(window));
+  },
+};
@@ -0,0 +1,16 @@
+// Option builders shared by several commands.
+
+export function containerOption(option) {
+  return option
+    .setName('container')
+    .setDescription('Container name')
+    .setRequired(true)
+    .setAutocomplete(true);
+}
+
+export function hostOption(option) {
+  return option
+    .setName('host')
+    .setDescription('Docker host (default host if omitted)')
+    .setAutocomplete(true);
+}
@@ -0,0 +1,10 @@
+import { SlashCommandBuilder } from 'discord.js';
+
+export const pingCommand = {
+  data: new SlashCommandBuilder().setName('ping').setDescription('Test bot responsiveness'),
+  tier: 'read-only',
+  help: ['/ping — Test bot responsiveness'],
+  async execute(interaction) {
+    await interaction.reply('Hello there! 👋');
+  },
+};
@@ -0,0 +1,18 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { linesReply } from '../long-output.js';
+import { formatProbeList } from '../probes.js';
+
+export const probesCommand = {
+  data: new SlashCommandBuilder()
+    .setName('probes')
+    .setDescription('Show service probe state, latency and availability'),
+  tier: 'read-only',
+  help: ['/probes — Show service probes with latency and 24h/7d availability'],
+  async execute(interaction, bot) {
+    await interaction.deferReply({ ephemeral: false });
+    const entries = await bot.probeMonitor.list();
+    await interaction.editReply(
+      linesReply(formatProbeList(entries).split('\n'), { fileName: 'probes.txt' })
+    );
+  },
+};
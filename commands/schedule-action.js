@@ -0,0 +1,124 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { rankContainerNames } from '../container-autocomplete.js';
+import { linesReply } from '../long-output.js';
+import { formatScheduledAction } from '../scheduled-actions.js';
+import { containerOption, hostOption } from './options.js';
+
+export const scheduleActionCommand = {
+  data: new SlashCommandBuilder()
+    .setName('schedule-action')
+    .setDescription('Start, stop or restart containers on a schedule')
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('add')
+        .setDescription('Schedule a container action')
+        .addStringOption(containerOption)
+        .addStringOption((option) =>
+          option
+            .setName('action')
+            .setDescription('What to do')
+            .setRequired(true)
+            .addChoices(
+              { name: 'start', value: 'start' },
+              { name: 'stop', value: 'stop' },
+              { name: 'restart', value: 'restart' }
+            )
+        )
+        .addStringOption((option) =>
+          option.setName('cron').setDescription('Cron expression, e.g. 0 4 * * 0').setRequired(true)
+        )
+        .addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand.setName('list').setDescription('List scheduled actions and their next run')
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a scheduled action')
+        .addStringOption((option) =>
+          option
+            .setName('name')
+            .setDescription('Scheduled action')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    ),
+  tier: 'admin',
+  subcommandTiers: { list: 'read-only' },
+  help: [
+    '/schedule-action add <container> <start|stop|restart> <cron> — Run a container action on a schedule',
+    '/schedule-action list — Show scheduled actions with their next run',
+    '/schedule-action remove <name> — Remove a scheduled action',
+  ],
+  async execute(interaction, bot) {
+    const { actionScheduler } = bot;
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+      const jobs = actionScheduler.list();
+      await interaction.reply(
+        jobs.length
+          ? linesReply(jobs.map(formatScheduledAction), { fileName: 'scheduled-actions.txt' })
+          : 'No scheduled actions.'
+      );
+      return;
+    }
+
+    let result;
+    if (subcommand === 'remove') {
+      const name = interaction.options.getString('name', true);
+      const job = actionScheduler.get(name);
+      const permission = job ? bot.checkInteractionPermission(interaction, job.container) : null;
+      if (permission && !permission.allowed) {
+        await interaction.reply({ content: permission.message, ephemeral: true });
+        return;
+      }
+      result = await actionScheduler.remove(name);
+    } else {
+      const containerName = interaction.options.getString('container', true);
+      const problem = await checkContainerExists(bot, containerName);
+      if (problem) {
+        await interaction.reply({ content: problem, ephemeral: true });
+        return;
+      }
+      result = await actionScheduler.add({
+        container: containerName,
+        action: interaction.options.getString('action', true),
+        cron: interaction.options.getString('cron', true),
+        host: bot.isMultiHost ? bot.host.name : null,
+        createdBy: { id: interaction.user.id, tag: interaction.user.tag },
+      });
+    }
+    if (result.ok) {
+      await bot.auditLog.record({
+        userId: interaction.user.id,
+        userTag: interaction.user.tag,
+        action: `schedule-action ${subcommand}`,
+        target: result.job.name,
+        ...(result.job.host ? { host: result.job.host } : {}),
+        result: 'success',
+        detail: `${result.job.action} ${result.job.container} at ${result.job.cron}`,
+      });
+    }
+    await interaction.reply({ content: result.message, ephemeral: !result.ok });
+  },
+  async autocomplete(interaction, focused, bot) {
+    if (focused.name !== 'name') return [];
+    return rankContainerNames(bot.actionScheduler.names(), focused.value).slice(0, 25);
+  },
+};
+
+// Jobs run on the host chosen here, so the container has to exist there now.
+async function checkContainerExists(bot, containerName) {
+  const { host } = bot;
+  try {
+    await host.docker.getContainer(containerName).inspect();
+    return null;
+  } catch (error) {
+    if (error?.statusCode === 404) {
+      return `Container '${containerName}' not found${bot.hostSuffix(host)}.`;
+    }
+    console.error(`Failed to inspect ${containerName}.`, error);
+    return `Unable to check ${containerName} right now.`;
+  }
+}
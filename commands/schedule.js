@@ -0,0 +1,94 @@
+import { ChannelType, SlashCommandBuilder } from 'discord.js';
+import { rankContainerNames } from '../container-autocomplete.js';
+import { linesReply } from '../long-output.js';
+import { formatSchedule, parseSectionList } from '../report-scheduler.js';
+
+export const scheduleCommand = {
+  data: new SlashCommandBuilder()
+    .setName('schedule')
+    .setDescription('Manage scheduled reports')
+    .addSubcommand((subcommand) => subcommand.setName('list').setDescription('List scheduled reports'))
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('add')
+        .setDescription('Add or replace a scheduled report')
+        .addStringOption((option) =>
+          option.setName('name').setDescription('Schedule name').setRequired(true).setMaxLength(32)
+        )
+        .addStringOption((option) =>
+          option.setName('cron').setDescription('Cron expression, e.g. 0 8 * * *').setRequired(true)
+        )
+        .addStringOption((option) =>
+          option.setName('timezone').setDescription('IANA timezone, e.g. Europe/Berlin (default TZ)')
+        )
+        .addChannelOption((option) =>
+          option
+            .setName('channel')
+            .setDescription('Channel to post in (default report channel)')
+            .addChannelTypes(ChannelType.GuildText)
+        )
+        .addStringOption((option) =>
+          option
+            .setName('sections')
+            .setDescription(
+              'Comma-separated: ip, host, containers, probes, changes, updates, alerts (default all)'
+            )
+        )
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a scheduled report')
+        .addStringOption((option) =>
+          option.setName('name').setDescription('Schedule name').setRequired(true).setAutocomplete(true)
+        )
+    ),
+  tier: 'admin',
+  subcommandTiers: { list: 'read-only' },
+  help: [
+    '/schedule list — Show scheduled reports',
+    '/schedule add <name> <cron> [timezone] [channel] [sections] — Add or replace a scheduled report',
+    '/schedule remove <name> — Remove a scheduled report',
+  ],
+  async execute(interaction, bot) {
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+      const schedules = bot.reportScheduler.list();
+      await interaction.reply(
+        schedules.length
+          ? linesReply(schedules.map(formatSchedule), { fileName: 'schedules.txt' })
+          : 'No report schedules configured.'
+      );
+      return;
+    }
+
+    const name = interaction.options.getString('name', true);
+    let result;
+    if (subcommand === 'remove') {
+      result = await bot.reportScheduler.remove(name);
+    } else {
+      const sections = interaction.options.getString('sections');
+      result = await bot.reportScheduler.add({
+        name,
+        cron: interaction.options.getString('cron', true),
+        timezone: interaction.options.getString('timezone') ?? undefined,
+        channelId: interaction.options.getChannel('channel')?.id,
+        sections: sections ? parseSectionList(sections) : undefined,
+      });
+    }
+    if (result.ok) {
+      await bot.auditLog.record({
+        userId: interaction.user.id,
+        userTag: interaction.user.tag,
+        action: `schedule ${subcommand}`,
+        target: name,
+        result: 'success',
+      });
+    }
+    await interaction.reply({ content: result.message, ephemeral: !result.ok });
+  },
+  async autocomplete(interaction, focused, bot) {
+    if (focused.name !== 'name') return [];
+    return rankContainerNames(bot.reportScheduler.names(), focused.value).slice(0, 25);
+  },
+};
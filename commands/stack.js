@@ -0,0 +1,168 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { linesReply } from '../long-output.js';
+import {
+  formatStackStatus,
+  formatStackSummary,
+  getStack,
+  listStacks,
+  pullAndRecreateStack,
+  runStackAction,
+} from '../stacks.js';
+import { hostOption } from './options.js';
+
+export const stackCommand = {
+  data: new SlashCommandBuilder()
+    .setName('stack')
+    .setDescription('Manage Docker Compose stacks')
+    .addSubcommand((subcommand) =>
+      subcommand.setName('list').setDescription('List Compose stacks').addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('status')
+        .setDescription('Show the services in a stack')
+        .addStringOption(stackOption)
+        .addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('start')
+        .setDescription('Start a stack in dependency order')
+        .addStringOption(stackOption)
+        .addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('stop')
+        .setDescription('Stop a stack in reverse dependency order')
+        .addStringOption(stackOption)
+        .addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('restart')
+        .setDescription('Restart a whole stack')
+        .addStringOption(stackOption)
+        .addStringOption(hostOption)
+    )
+    .addSubcommand((subcommand) =>
+      subcommand
+        .setName('pull')
+        .setDescription('Pull new images and recreate services that changed')
+        .addStringOption(stackOption)
+        .addStringOption(hostOption)
+    ),
+  tier: 'operator',
+  subcommandTiers: { list: 'read-only', status: 'read-only' },
+  help: [
+    '/stack list — List Docker Compose stacks',
+    '/stack status <name> — Show the services in a stack',
+    '/stack start|stop|restart <name> — Start, stop or restart a whole stack in dependency order',
+    '/stack pull <name> — Pull new images and recreate the services that changed',
+  ],
+  async execute(interaction, bot) {
+    const { host } = bot;
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+      await interaction.deferReply({ ephemeral: false });
+      try {
+        const stacks = await listStacks(host.docker);
+        if (stacks.length === 0) {
+          await interaction.editReply(`No Compose stacks found${bot.hostSuffix(host)}.`);
+          return;
+        }
+        await interaction.editReply(
+          linesReply(stacks.map(formatStackSummary), { fileName: 'stacks.txt' })
+        );
+      } catch (error) {
+        console.error('Failed to list stacks.', error);
+        await interaction.editReply('Unable to list stacks right now.');
+      }
+      return;
+    }
+
+    const stackName = interaction.options.getString('name', true);
+    let stack;
+    try {
+      stack = await getStack(host.docker, stackName);
+    } catch (error) {
+      console.error(`Failed to read stack ${stackName}.`, error);
+      await interaction.reply(`Unable to read stack ${stackName} right now.`);
+      return;
+    }
+    if (!stack) {
+      await interaction.reply(`Stack '${stackName}' not found${bot.hostSuffix(host)}.`);
+      return;
+    }
+
+    const denied = stack.services
+      .map((service) => bot.checkInteractionPermission(interaction, service.name))
+      .find((permission) => !permission.allowed);
+    if (denied) {
+      await interaction.reply({ content: denied.message, ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'status') {
+      await interaction.reply(
+        linesReply(formatStackStatus(stack), { fileName: `${stack.name}-status.txt` })
+      );
+      return;
+    }
+
+    if (subcommand === 'start') {
+      await interaction.deferReply({ ephemeral: false });
+    } else {
+      const verb =
+        subcommand === 'pull' ? 'Pull and recreate' : subcommand[0].toUpperCase() + subcommand.slice(1);
+      const confirmed = await bot.confirmAction(interaction, {
+        prompt: `${verb} stack \`${stack.name}\`${bot.hostSuffix(host)} (${stack.services.length} services)?`,
+        confirmLabel: verb,
+        pendingMessage: `Working on stack ${stack.name}…`,
+      });
+      if (!confirmed) return;
+    }
+
+    const outcome =
+      subcommand === 'pull'
+        ? await pullAndRecreateStack(host.docker, stack)
+        : await runStackAction(stack, subcommand, {
+            startContainer: (containerName) => bot.startContainer(host, containerName),
+            stopContainer: (containerName) => bot.stopContainer(host, containerName),
+          });
+    if (outcome.changed) {
+      host.autocomplete.invalidate();
+    }
+
+    const succeeded = outcome.results.filter((result) => result.ok).length;
+    let result = 'failed';
+    if (outcome.ok) {
+      result = outcome.changed ? 'success' : 'no change';
+    } else if (succeeded > 0) {
+      result = 'partial';
+    }
+    await bot.auditLog.record({
+      userId: interaction.user.id,
+      userTag: interaction.user.tag,
+      action: `stack ${subcommand}`,
+      target: stack.name,
+      ...(bot.isMultiHost ? { host: host.name } : {}),
+      result,
+      detail: `${succeeded}/${outcome.results.length} steps succeeded`,
+    });
+
+    const header = `**Stack ${stack.name}${bot.hostSuffix(host)} — ${subcommand}**`;
+    await interaction.editReply({
+      ...linesReply([header, ...outcome.lines], { fileName: `${stack.name}-${subcommand}.txt` }),
+      components: [],
+    });
+  },
+  async autocomplete(interaction, focused, bot) {
+    if (focused.name !== 'name') return [];
+    return bot.host.autocomplete.suggestStacks(focused.value);
+  },
+};
+
+function stackOption(option) {
+  return option.setName('name').setDescription('Stack name').setRequired(true).setAutocomplete(true);
+}
@@ -0,0 +1,19 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { containerOption, hostOption } from './options.js';
+
+export const startCommand = {
+  data: new SlashCommandBuilder()
+    .setName('start')
+    .setDescription('Start a Docker container by name')
+    .addStringOption(containerOption)
+    .addStringOption(hostOption),
+  tier: 'operator',
+  help: ['/start <container> — Start a Docker container by name'],
+  async execute(interaction, bot) {
+    await interaction.deferReply({ ephemeral: false });
+    const target = interaction.options.getString('container', true);
+    const result = await bot.startContainer(bot.host, target);
+    await bot.recordContainerAction(interaction, bot.host, 'start', target, result);
+    await interaction.editReply(result.message);
+  },
+};
@@ -0,0 +1,87 @@
+import { SlashCommandBuilder } from 'discord.js';
+import {
+  formatContainerStats,
+  formatStatsTable,
+  readContainerStats,
+  readStatsForContainers,
+} from '../container-stats.js';
+import { hostOption } from './options.js';
+
+export const statsCommand = {
+  data: new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('Show container resource usage')
+    .addStringOption((option) =>
+      option
+        .setName('container')
+        .setDescription('Container name (omit for a top-N table)')
+        .setAutocomplete(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName('sort')
+        .setDescription('Sort the top-N table by')
+        .addChoices(
+          { name: 'CPU', value: 'cpu' },
+          { name: 'memory', value: 'memory' },
+          { name: 'network I/O', value: 'network' },
+          { name: 'block I/O', value: 'block' }
+        )
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName('count')
+        .setDescription('Rows in the top-N table (max 25)')
+        .setMinValue(1)
+        .setMaxValue(25)
+    )
+    .addStringOption(hostOption),
+  tier: 'read-only',
+  help: [
+    '/stats [container] [sort] [count] — Show resource usage for one container or the top consumers',
+  ],
+  async execute(interaction, bot) {
+    await interaction.deferReply({ ephemeral: false });
+    const target = interaction.options.getString('container');
+    const result = target
+      ? await getSingleContainerStats(bot.host, target)
+      : await getTopContainerStats(
+          bot,
+          interaction.options.getString('sort') ?? 'cpu',
+          interaction.options.getInteger('count') ?? 10
+        );
+    await interaction.editReply(result);
+  },
+};
+
+async function getSingleContainerStats(host, containerName) {
+  try {
+    const stats = await readContainerStats(host.docker, containerName);
+    return formatContainerStats(stats);
+  } catch (error) {
+    if (error?.statusCode === 404) {
+      return `Container '${containerName}' not found.`;
+    }
+    console.error(`Failed to read stats for ${containerName}.`, error);
+    return `Unable to read stats for ${containerName} right now.`;
+  }
+}
+
+async function getTopContainerStats(bot, sortBy, limit) {
+  const { host } = bot;
+  try {
+    const containers = await bot.listRunningContainersWithUptime(host.docker);
+    if (containers.length === 0) {
+      return `No running containers found${bot.hostSuffix(host)}.`;
+    }
+    const entries = await readStatsForContainers(
+      host.docker,
+      containers.map((container) => container.name),
+      { concurrency: bot.statsConcurrency }
+    );
+    return formatStatsTable(entries, { sortBy, limit });
+  } catch (error) {
+    console.error('Failed to read container stats.', error);
+    return 'Unable to read container stats right now.';
+  }
+}
@@ -0,0 +1,32 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { buildStatusPages, replyWithPages } from '../discord-views.js';
+import { linesReply } from '../long-output.js';
+
+export const statusCommand = {
+  data: new SlashCommandBuilder()
+    .setName('status')
+    .setDescription('Show homelab status')
+    .addStringOption((option) =>
+      option
+        .setName('group')
+        .setDescription('How to group containers')
+        .addChoices({ name: 'flat', value: 'flat' }, { name: 'by stack', value: 'stack' })
+    ),
+  tier: 'read-only',
+  help: ['/status [group] — Show homelab status, optionally grouped by stack'],
+  async execute(interaction, bot) {
+    await interaction.deferReply({ ephemeral: false });
+    const groupByStack = interaction.options.getString('group') === 'stack';
+    const statusReport = await bot.buildStatusReport({ groupByStack, maxLength: Infinity });
+    const statusMessage = statusReport?.report;
+    if (!statusMessage) {
+      await interaction.editReply('Unable to read container status right now.');
+      return;
+    }
+    if (interaction.inGuild()) {
+      await replyWithPages(interaction, buildStatusPages({ ...statusReport, groupByStack }));
+    } else {
+      await interaction.editReply(linesReply(statusMessage.split('\n'), { fileName: 'status.txt' }));
+    }
+  },
+};
@@ -0,0 +1,16 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { containerOption, hostOption } from './options.js';
+
+export const stopCommand = {
+  data: new SlashCommandBuilder()
+    .setName('stop')
+    .setDescription('Stop a Docker container by name')
+    .addStringOption(containerOption)
+    .addStringOption(hostOption),
+  tier: 'operator',
+  help: ['/stop <container> — Stop a Docker container by name'],
+  async execute(interaction, bot) {
+    const target = interaction.options.getString('container', true);
+    await bot.runConfirmedContainerAction(interaction, bot.host, 'stop', target);
+  },
+};
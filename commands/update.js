@@ -0,0 +1,33 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { containerOption, hostOption } from './options.js';
+
+export const updateCommand = {
+  data: new SlashCommandBuilder()
+    .setName('update')
+    .setDescription('Pull the latest image and recreate a container')
+    .addStringOption(containerOption)
+    .addStringOption(hostOption),
+  tier: 'operator',
+  help: [
+    '/update <container> — Pull the latest image and recreate the container, rolling back if unhealthy',
+  ],
+  async execute(interaction, bot) {
+    const { host } = bot;
+    const target = interaction.options.getString('container', true);
+    const confirmed = await bot.confirmAction(interaction, {
+      prompt: `Pull the latest image for \`${target}\`${bot.hostSuffix(host)} and recreate it?`,
+      confirmLabel: 'Update',
+      pendingMessage: `Updating ${target}…`,
+    });
+    if (!confirmed) return;
+    let result;
+    try {
+      result = await host.imageUpdates.updateContainer(target);
+    } catch (error) {
+      console.error(`Failed to update container ${target}.`, error);
+      result = { ok: false, message: `Unable to update ${target} right now.` };
+    }
+    await bot.recordContainerAction(interaction, host, 'update', target, result);
+    await interaction.editReply({ content: result.message, components: [] });
+  },
+};
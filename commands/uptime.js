@@ -0,0 +1,29 @@
+import { SlashCommandBuilder } from 'discord.js';
+import os from 'node:os';
+import { linesReply } from '../long-output.js';
+
+export const uptimeCommand = {
+  data: new SlashCommandBuilder().setName('uptime').setDescription('Show host + container uptime'),
+  tier: 'read-only',
+  help: ['/uptime — Show host + container uptime'],
+  async execute(interaction, bot) {
+    await interaction.deferReply({ ephemeral: false });
+    const hostUptime = bot.formatDuration(os.uptime() * 1000);
+    let containers;
+    try {
+      containers = await bot.listRunningContainersWithUptime(bot.defaultHost.docker);
+    } catch (error) {
+      console.error('Failed to read uptime.', error);
+      await interaction.editReply(
+        `Host uptime: ${hostUptime}\nUnable to read container uptime right now.`
+      );
+      return;
+    }
+    const containerLines =
+      containers.length === 0
+        ? ['(no running containers)']
+        : containers.map((container) => `${container.name} — ${container.uptime}`);
+    const lines = [`Host uptime: ${hostUptime}`, 'Running containers:', ...containerLines];
+    await interaction.editReply(linesReply(lines, { fileName: 'uptime.txt' }));
+  },
+};
@@ -0,0 +1,133 @@
+import { COMPOSE_PROJECT_LABEL } from './stacks.js';
+
+// Container name suggestions for slash command autocomplete. Discord drops
+// autocomplete responses after 3 seconds, so the container list is cached
+// briefly and concurrent lookups share a single Docker request.
+
+const MAX_SUGGESTIONS = 25;
+
+// Which container states each command should suggest.
+const COMMAND_STATE_FILTERS = {
+  start: (state) => state !== 'running',
+  stop: (state) => state === 'running' || state === 'paused' || state === 'restarting',
+  restart: (state) => state === 'running' || state === 'restarting',
+  stats: (state) => state === 'running',
+  exec: (state) => state === 'running',
+};
+
+export function createContainerAutocomplete({ docker, cacheTtlMs = 10 * 1000 }) {
+  let cachedContainers = null;
+  let cachedAt = 0;
+  let pendingLookup = null;
+
+  async function listContainers() {
+    if (cachedContainers && Date.now() - cachedAt < cacheTtlMs) {
+      return cachedContainers;
+    }
+    if (!pendingLookup) {
+      pendingLookup = docker
+        .listContainers({ all: true })
+        .then((summaries) => {
+          cachedContainers = summaries.map((summary) => ({
+            name: (summary.Names?.[0] || summary.Id).replace(/^\//, ''),
+            state: summary.State,
+            stack: summary.Labels?.[COMPOSE_PROJECT_LABEL] ?? null,
+          }));
+          cachedAt = Date.now();
+          return cachedContainers;
+        })
+        .catch((error) => {
+          console.error('Failed to list containers for autocomplete.', error);
+          return cachedContainers ?? [];
+        })
+        .finally(() => {
+          pendingLookup = null;
+        });
+    }
+    return pendingLookup;
+  }
+
+  return {
+    async suggest(commandName, query, isPermitted = () => true) {
+      const containers = await listContainers();
+      const stateFilter = COMMAND_STATE_FILTERS[commandName] ?? (() => true);
+      const candidates = containers
+        .filter((container) => stateFilter(container.state))
+        .map((container) => container.name)
+        .filter((name) => isPermitted(name));
+      return rankContainerNames(candidates, query).slice(0, MAX_SUGGESTIONS);
+    },
+    async suggestStacks(query) {
+      const containers = await listContainers();
+      const stackNames = [...new Set(containers.map((container) => container.stack).filter(Boolean))];
+      return rankContainerNames(stackNames, query).slice(0, MAX_SUGGESTIONS);
+    },
+    invalidate() {
+      cachedContainers = null;
+    },
+  };
+}
+
+export function rankContainerNames(names, query) {
+  const normalizedQuery = (query || '').trim().toLowerCase();
+  if (!normalizedQuery) {
+    return [...names].sort((a, b) => a.localeCompare(b));
+  }
+
+  const direct = names
+    .map((name) => ({ name, score: scoreDirectMatch(name.toLowerCase(), normalizedQuery) }))
+    .filter((entry) => entry.score !== null);
+  if (direct.length) {
+    return sortByScore(direct);
+  }
+
+  // Nothing contains the query, so fall back to typo-tolerant matching.
+  const maxDistance = Math.max(2, Math.floor(normalizedQuery.length / 3));
+  const fuzzy = names
+    .map((name) => ({ name, score: closestSubstringDistance(name.toLowerCase(), normalizedQuery) }))
+    .filter((entry) => entry.score <= maxDistance);
+  return sortByScore(fuzzy);
+}
+
+function scoreDirectMatch(name, query) {
+  if (name === query) return 0;
+  if (name.startsWith(query)) return 1;
+  if (name.split(/[-_.]/).some((part) => part.startsWith(query))) return 2;
+  if (name.includes(query)) return 3;
+  if (isSubsequence(query, name)) return 4;
+  return null;
+}
+
+function sortByScore(entries) {
+  return entries
+    .sort((a, b) => a.score - b.score || a.name.localeCompare(b.name))
+    .map((entry) => entry.name);
+}
+
+function isSubsequence(query, name) {
+  let position = 0;
+  for (const character of name) {
+    if (character === query[position]) position += 1;
+    if (position === query.length) return true;
+  }
+  return false;
+}
+
+// Levenshtein distance between the query and the best-matching substring of
+// the name, so "jellyfni" still finds "media-jellyfin".
+function closestSubstringDistance(name, query) {
+  let previous = new Array(name.length + 1).fill(0);
+  for (let row = 1; row <= query.length; row += 1) {
+    const current = [row];
+    for (let column = 1; column <= name.length; column += 1) {
+      const cost = query[row - 1] === name[column - 1] ? 0 : 1;
+      current[column] = Math.min(
+        previous[column] + 1,
+        current[column - 1] + 1,
+        previous[column - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return Math.min(...previous);
+}
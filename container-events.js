@@ -0,0 +1,281 @@
+import { decodeLogText } from './container-logs.js';
+
+// Watches the Docker event stream and turns container crashes, OOM kills,
+// failing healthchecks and restart loops into report channel alerts.
+
+const INTENTIONAL_STOP_GRACE_MS = 30 * 1000;
+const OOM_DIE_MERGE_MS = 5 * 1000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+const MAX_LOG_EXCERPT_LENGTH = 1000;
+
+const DEFAULT_OPTIONS = {
+  cooldownMinutes: 10,
+  restartLoopThreshold: 3,
+  restartLoopWindowMinutes: 10,
+  logLines: 10,
+  ignoredContainers: [],
+};
+
+export function startContainerEventWatcher({ docker, notify, onAlert, isMuted, options = {} }) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const ignored = new Set(settings.ignoredContainers);
+  const cooldownMs = settings.cooldownMinutes * 60 * 1000;
+  const restartLoopWindowMs = settings.restartLoopWindowMinutes * 60 * 1000;
+
+  const containerStates = new Map();
+  const lastAlerts = new Map();
+  let activeStream = null;
+  let reconnectTimer = null;
+  let reconnectAttempt = 0;
+  let lastEventTimeNano = null;
+  let eventQueue = Promise.resolve();
+  let stopped = false;
+
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      activeStream?.destroy?.();
+      for (const state of containerStates.values()) {
+        clearTimeout(state.pendingOomTimer);
+      }
+    },
+  };
+
+  async function connect() {
+    if (stopped) return;
+    const eventOptions = { filters: { type: ['container'] } };
+    if (lastEventTimeNano) {
+      // Replay anything that happened while the stream was down.
+      eventOptions.since = Math.floor(lastEventTimeNano / 1e9);
+    }
+
+    let stream;
+    try {
+      stream = await docker.getEvents(eventOptions);
+    } catch (error) {
+      console.error('Failed to subscribe to Docker events.', error);
+      scheduleReconnect();
+      return;
+    }
+
+    if (stopped) {
+      stream.destroy?.();
+      return;
+    }
+
+    activeStream = stream;
+    reconnectAttempt = 0;
+    console.log('Watching Docker container events.');
+
+    let buffered = '';
+    let closed = false;
+    const handleClose = (error) => {
+      if (closed) return;
+      closed = true;
+      activeStream = null;
+      if (stopped) return;
+      if (error) {
+        console.error('Docker event stream failed.', error);
+      } else {
+        console.error('Docker event stream ended.');
+      }
+      scheduleReconnect();
+    };
+
+    stream.on('data', (chunk) => {
+      buffered += chunk.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          console.error('Failed to parse Docker event.', error);
+          continue;
+        }
+        // Handle events one at a time so state transitions stay in order.
+        eventQueue = eventQueue
+          .then(() => handleEvent(event))
+          .catch((error) => {
+            console.error('Failed to handle Docker event.', error);
+          });
+      }
+    });
+    stream.on('error', handleClose);
+    stream.on('end', () => handleClose());
+    stream.on('close', () => handleClose());
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    const delay = Math.min(1000 * 2 ** reconnectAttempt, MAX_RECONNECT_DELAY_MS);
+    reconnectAttempt += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  async function handleEvent(event) {
+    const timeNano = Number(event.timeNano) || Number(event.time) * 1e9 || null;
+    if (timeNano && lastEventTimeNano && timeNano <= lastEventTimeNano) return;
+    if (timeNano) lastEventTimeNano = timeNano;
+
+    const action = String(event.Action || event.status || '');
+    const attributes = event.Actor?.Attributes || {};
+    const containerId = event.Actor?.ID || event.id || '';
+    const name = attributes.name || containerId.slice(0, 12);
+    if (!name || ignored.has(name)) return;
+
+    const state = getContainerState(name);
+    const now = Date.now();
+
+    if (action === 'stop' || action === 'kill') {
+      // Stops and kills come from a user or the bot itself, so the die that
+      // follows is expected. Restart policy restarts never emit these.
+      state.intentionalStopUntil = now + INTENTIONAL_STOP_GRACE_MS;
+      return;
+    }
+
+    if (action === 'restart') {
+      // `docker restart` already emitted kill/stop before this; nothing to add.
+      return;
+    }
+
+    if (action === 'oom') {
+      clearTimeout(state.pendingOomTimer);
+      state.oomAt = now;
+      state.pendingOomTimer = setTimeout(() => {
+        state.pendingOomTimer = null;
+        sendAlert(`${name}:oom`, `🧠 **Out of memory**: \`${name}\` had a process OOM-killed.`, {
+          severity: 'critical',
+        });
+      }, OOM_DIE_MERGE_MS);
+      return;
+    }
+
+    if (action === 'die') {
+      const wasOomKilled = Boolean(state.oomAt && now - state.oomAt <= OOM_DIE_MERGE_MS);
+      if (wasOomKilled) {
+        clearTimeout(state.pendingOomTimer);
+        state.pendingOomTimer = null;
+        state.oomAt = null;
+      }
+      if (!wasOomKilled && state.intentionalStopUntil > now) {
+        return;
+      }
+      await handleUnexpectedExit(containerId, name, attributes.exitCode, wasOomKilled, state, now);
+      return;
+    }
+
+    if (action.startsWith('health_status')) {
+      const healthStatus = action.split(':')[1]?.trim();
+      if (healthStatus === 'unhealthy' && !state.unhealthy) {
+        state.unhealthy = true;
+        const logExcerpt = await readLogExcerpt(containerId);
+        await sendAlert(
+          `${name}:unhealthy`,
+          `🩺 **Healthcheck failing**: \`${name}\` is unhealthy.${logExcerpt}`
+        );
+      } else if (healthStatus === 'healthy' && state.unhealthy) {
+        state.unhealthy = false;
+        await sendAlert(
+          `${name}:healthy`,
+          `✅ **Healthcheck recovered**: \`${name}\` is healthy again.`,
+          { severity: 'info' }
+        );
+      }
+    }
+  }
+
+  async function handleUnexpectedExit(containerId, name, exitCode, wasOomKilled, state, now) {
+    state.exits = state.exits.filter((timestamp) => now - timestamp <= restartLoopWindowMs);
+    state.exits.push(now);
+
+    const exitLabel = exitCode === undefined ? 'unknown exit code' : `exit code ${exitCode}`;
+    const reason = wasOomKilled ? 'killed (out of memory)' : 'exited';
+    const logExcerpt = await readLogExcerpt(containerId);
+
+    if (state.exits.length >= settings.restartLoopThreshold) {
+      // One loop alert per window is enough; individual exits stay quiet meanwhile.
+      await sendAlert(
+        `${name}:loop`,
+        `🔁 **Restart loop**: \`${name}\` ${reason} ${state.exits.length} times in the last ${settings.restartLoopWindowMinutes} minutes (last: ${exitLabel}).${logExcerpt}`,
+        { severity: 'critical', suppressForMs: restartLoopWindowMs }
+      );
+      return;
+    }
+
+    const icon = wasOomKilled ? '🧠' : '💥';
+    await sendAlert(
+      `${name}:die`,
+      `${icon} **Container ${reason}**: \`${name}\` (${exitLabel}).${logExcerpt}`,
+      { severity: wasOomKilled ? 'critical' : 'warning' }
+    );
+  }
+
+  async function sendAlert(key, message, { severity = 'warning', suppressForMs = cooldownMs } = {}) {
+    // Keys are `container:kind`; recoveries are sent as info and are not alerts.
+    if (severity !== 'info') {
+      onAlert?.(key.split(':')[0]);
+    }
+    if (isMuted?.(key.split(':')[0])) return;
+    const now = Date.now();
+    const previous = lastAlerts.get(key);
+    if (previous && now - previous.sentAt < suppressForMs) {
+      previous.suppressed += 1;
+      return;
+    }
+
+    const suppressedNote =
+      previous?.suppressed > 0 ? `\n_(${previous.suppressed} similar alerts suppressed)_` : '';
+    lastAlerts.set(key, { sentAt: now, suppressed: 0 });
+
+    try {
+      await notify(`${message}${suppressedNote}`, { severity });
+    } catch (error) {
+      console.error('Failed to send container alert.', error);
+    }
+  }
+
+  async function readLogExcerpt(containerId) {
+    if (!containerId || settings.logLines <= 0) return '';
+    try {
+      const rawLogs = await docker
+        .getContainer(containerId)
+        .logs({ stdout: true, stderr: true, tail: settings.logLines });
+      const trimmed = decodeLogText(rawLogs).trimEnd();
+      if (!trimmed) return '';
+      const excerpt =
+        trimmed.length > MAX_LOG_EXCERPT_LENGTH
+          ? trimmed.slice(trimmed.length - MAX_LOG_EXCERPT_LENGTH)
+          : trimmed;
+      return `\n\`\`\`\n${excerpt}\n\`\`\``;
+    } catch (error) {
+      if (error?.statusCode !== 404) {
+        console.error(`Failed to read logs for container ${containerId}.`, error);
+      }
+      return '';
+    }
+  }
+
+  function getContainerState(name) {
+    let state = containerStates.get(name);
+    if (!state) {
+      state = {
+        exits: [],
+        intentionalStopUntil: 0,
+        oomAt: null,
+        pendingOomTimer: null,
+        unhealthy: false,
+      };
+      containerStates.set(name, state);
+    }
+    return state;
+  }
+}
@@ -0,0 +1,258 @@
+import { parseDuration } from './duration.js';
+
+// Docker log handling. Containers without a TTY return logs multiplexed into
+// frames with an 8-byte header (stream type, three zero bytes, big-endian
+// payload length); those headers have to be stripped before the text is
+// shown anywhere, or they show up as garbage bytes.
+
+const FRAME_HEADER_LENGTH = 8;
+const STREAM_TYPES = { 0: 'stdout', 1: 'stdout', 2: 'stderr' };
+const MAX_MESSAGE_LENGTH = 1900;
+const MAX_PENDING_LINES = 500;
+const MAX_LINE_LENGTH = 500;
+
+// Incrementally decodes a log stream into complete lines. `tty` is taken from
+// the container's config when known; otherwise the first bytes decide.
+export function createLogLineDecoder({ tty } = {}) {
+  let multiplexed = tty === undefined ? null : !tty;
+  let pending = Buffer.alloc(0);
+  const partial = { stdout: '', stderr: '' };
+
+  function splitLines(stream, text) {
+    const parts = (partial[stream] + text).split('\n');
+    partial[stream] = parts.pop();
+    return parts.map((line) => ({ stream, line: line.replace(/\r$/, '') }));
+  }
+
+  return {
+    push(chunk) {
+      pending = Buffer.concat([pending, Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)]);
+      if (multiplexed === null) {
+        if (pending.length < FRAME_HEADER_LENGTH) return [];
+        multiplexed = looksMultiplexed(pending);
+      }
+      if (!multiplexed) {
+        const text = pending.toString('utf8');
+        pending = Buffer.alloc(0);
+        return splitLines('stdout', text);
+      }
+
+      const lines = [];
+      while (pending.length >= FRAME_HEADER_LENGTH) {
+        const size = pending.readUInt32BE(4);
+        if (pending.length < FRAME_HEADER_LENGTH + size) break;
+        const stream = STREAM_TYPES[pending[0]] ?? 'stdout';
+        const payload = pending.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + size);
+        lines.push(...splitLines(stream, payload.toString('utf8')));
+        pending = pending.subarray(FRAME_HEADER_LENGTH + size);
+      }
+      return lines;
+    },
+    end() {
+      const lines = [];
+      if (pending.length) {
+        // A truncated trailing frame or a short non-multiplexed buffer.
+        lines.push(...splitLines('stdout', pending.toString('utf8')));
+        pending = Buffer.alloc(0);
+      }
+      for (const stream of ['stdout', 'stderr']) {
+        if (partial[stream]) {
+          lines.push({ stream, line: partial[stream].replace(/\r$/, '') });
+          partial[stream] = '';
+        }
+      }
+      return lines;
+    },
+  };
+}
+
+export function decodeLogBuffer(rawLogs, options) {
+  if (!rawLogs) return [];
+  const decoder = createLogLineDecoder(options);
+  return [...decoder.push(rawLogs), ...decoder.end()];
+}
+
+export function decodeLogText(rawLogs, options) {
+  return decodeLogBuffer(rawLogs, options)
+    .map((entry) => entry.line)
+    .join('\n');
+}
+
+export async function readContainerLogs(docker, containerName, { tail, since, until } = {}) {
+  const container = docker.getContainer(containerName);
+  const inspection = await container.inspect();
+  const rawLogs = await container.logs({
+    stdout: true,
+    stderr: true,
+    tail,
+    ...(since === undefined ? {} : { since }),
+    ...(until === undefined ? {} : { until }),
+  });
+  return decodeLogBuffer(rawLogs, { tty: Boolean(inspection.Config?.Tty) });
+}
+
+// Filtered reads without a time range search only this many of the newest
+// lines, so a grep over a long-running container's history stays bounded.
+export const MAX_FILTER_SCAN_LINES = 50000;
+
+// The last `limit` lines that pass `filter` (and are stderr, if asked), oldest
+// first. Docker applies tail before since/until, so a time range is read in
+// full; without one only the newest MAX_FILTER_SCAN_LINES are fetched. The
+// search runs newest to oldest and stops once `limit` lines matched.
+export async function readMatchingLogs(
+  docker,
+  containerName,
+  { since, until, filter = () => true, stderrOnly = false, limit }
+) {
+  const ranged = since !== undefined || until !== undefined;
+  const entries = await readContainerLogs(docker, containerName, {
+    tail: ranged ? 'all' : MAX_FILTER_SCAN_LINES,
+    since,
+    until,
+  });
+  const matching = [];
+  for (let index = entries.length - 1; index >= 0 && matching.length < limit; index -= 1) {
+    const entry = entries[index];
+    if ((!stderrOnly || entry.stream === 'stderr') && filter(entry.line)) {
+      matching.push(entry);
+    }
+  }
+  return matching.reverse();
+}
+
+// Relative durations ("2h", "30m") count back from now; anything else must be
+// a date Date.parse understands. Returns unix seconds, or null when invalid.
+export function parseTimeBound(value, now = Date.now()) {
+  const text = String(value ?? '').trim();
+  const relativeMs = parseDuration(text);
+  if (relativeMs !== null) {
+    return Math.floor((now - relativeMs) / 1000);
+  }
+  const absoluteMs = Date.parse(text);
+  return Number.isNaN(absoluteMs) ? null : Math.floor(absoluteMs / 1000);
+}
+
+// "/pattern/flags" is a regular expression; anything else is a
+// case-insensitive substring. Returns null when the regex does not compile.
+export function parseLineFilter(value) {
+  const text = value?.trim();
+  if (!text) return () => true;
+  const regexMatch = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+      return (line) => regex.test(line);
+    } catch {
+      return null;
+    }
+  }
+  const needle = text.toLowerCase();
+  return (line) => line.toLowerCase().includes(needle);
+}
+
+// Streams a container's logs to `send` in batches until the duration passes,
+// stop() is called or the container's log stream ends. Resolves `finished`
+// with the reason once the last batch has been sent.
+export async function followContainerLogs({
+  docker,
+  containerName,
+  filter = () => true,
+  durationMs,
+  send,
+  batchIntervalMs = 2000,
+  tailLines = 10,
+}) {
+  const container = docker.getContainer(containerName);
+  const inspection = await container.inspect();
+  const stream = await container.logs({
+    follow: true,
+    stdout: true,
+    stderr: true,
+    tail: tailLines,
+  });
+
+  const decoder = createLogLineDecoder({ tty: Boolean(inspection.Config?.Tty) });
+  const queue = [];
+  let droppedLines = 0;
+  let stopReason = null;
+  let sending = false;
+  let resolveFinished;
+  const finished = new Promise((resolve) => {
+    resolveFinished = resolve;
+  });
+
+  function enqueue(entries) {
+    for (const { stream: source, line } of entries) {
+      if (!line.trim() || !filter(line)) continue;
+      const clipped = line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH - 1)}…` : line;
+      queue.push(source === 'stderr' ? `! ${clipped}` : clipped);
+    }
+    // Discord allows roughly one message per second per channel; when a
+    // container logs faster than that, keep the newest lines.
+    if (queue.length > MAX_PENDING_LINES) {
+      droppedLines += queue.length - MAX_PENDING_LINES;
+      queue.splice(0, queue.length - MAX_PENDING_LINES);
+    }
+  }
+
+  function takeBatch() {
+    const notice = droppedLines ? `_(${droppedLines} lines skipped to keep up)_\n` : '';
+    const available = MAX_MESSAGE_LENGTH - notice.length - '```\n\n```'.length;
+    const batch = [];
+    let used = 0;
+    while (queue.length && used + queue[0].length + 1 <= available) {
+      used += queue[0].length + 1;
+      batch.push(queue.shift());
+    }
+    droppedLines = 0;
+    return `${notice}\`\`\`\n${batch.join('\n')}\n\`\`\``;
+  }
+
+  async function flush() {
+    if (sending || !queue.length) return;
+    sending = true;
+    try {
+      await send(takeBatch());
+    } catch (error) {
+      console.error(`Failed to send log batch for ${containerName}.`, error);
+    } finally {
+      sending = false;
+    }
+  }
+
+  const batchTimer = setInterval(flush, batchIntervalMs);
+  const durationTimer = setTimeout(() => stop('time limit reached'), durationMs);
+
+  async function stop(reason) {
+    if (stopReason) return finished;
+    stopReason = reason;
+    clearInterval(batchTimer);
+    clearTimeout(durationTimer);
+    stream.destroy?.();
+    enqueue(decoder.end());
+    while (sending) {
+      await new Promise((resolve) => {
+        setTimeout(resolve, 100);
+      });
+    }
+    while (queue.length) {
+      await flush();
+    }
+    resolveFinished(stopReason);
+    return finished;
+  }
+
+  stream.on('data', (chunk) => enqueue(decoder.push(chunk)));
+  stream.on('end', () => stop('container log stream ended'));
+  stream.on('error', (error) => {
+    if (stopReason) return;
+    console.error(`Log stream for ${containerName} failed.`, error);
+    stop('log stream error');
+  });
+
+  return { stop, finished };
+}
+
+function looksMultiplexed(buffer) {
+  return buffer[0] <= 2 && buffer[1] === 0 && buffer[2] === 0 && buffer[3] === 0;
+}
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { MAX_FILTER_SCAN_LINES, parseLineFilter, readMatchingLogs } from './container-logs.js';
+
+function createFakeDocker(lines) {
+  const requests = [];
+  return {
+    requests,
+    getContainer: () => ({
+      inspect: async () => ({ Config: { Tty: true } }),
+      logs: async (options) => {
+        requests.push(options);
+        return Buffer.from(`${lines.join('\n')}\n`);
+      },
+    }),
+  };
+}
+
+const lines = Array.from({ length: 20 }, (_, index) => (index % 2 ? `error ${index}` : `info ${index}`));
+
+test('filters without a time range read a bounded tail', async () => {
+  const docker = createFakeDocker(lines);
+  await readMatchingLogs(docker, 'app', { filter: parseLineFilter('error'), limit: 5 });
+
+  assert.equal(docker.requests[0].tail, MAX_FILTER_SCAN_LINES);
+  assert.equal(docker.requests[0].since, undefined);
+});
+
+test('a time range is read in full because Docker tails before filtering by time', async () => {
+  const docker = createFakeDocker(lines);
+  await readMatchingLogs(docker, 'app', {
+    since: 1714550400,
+    filter: parseLineFilter('error'),
+    limit: 5,
+  });
+
+  assert.equal(docker.requests[0].tail, 'all');
+  assert.equal(docker.requests[0].since, 1714550400);
+});
+
+test('keeps the newest matching lines up to the limit, oldest first', async () => {
+  const docker = createFakeDocker(lines);
+  const entries = await readMatchingLogs(docker, 'app', {
+    filter: parseLineFilter('/^error 1[3-9]$/'),
+    limit: 2,
+  });
+
+  assert.deepEqual(
+    entries.map((entry) => entry.line),
+    ['error 17', 'error 19']
+  );
+});
@@ -0,0 +1,226 @@
+// Pulling images and recreating containers from their existing inspect data,
+// the way `docker compose up` would after an image update. The old container
+// is kept (renamed) until the new one is running so it can be restored.
+//
+// Inspect data mixes what was set for the container with the old image's
+// defaults, so only values that differ from the old image are carried over;
+// everything else comes from the new image. Volumes, including anonymous
+// ones, are reattached so their data moves to the new container.
+
+// Config keys an image provides defaults for.
+const IMAGE_DEFAULT_KEYS = [
+  'Cmd',
+  'Entrypoint',
+  'WorkingDir',
+  'User',
+  'Healthcheck',
+  'StopSignal',
+  'Shell',
+  'OnBuild',
+];
+
+export async function pullImage(docker, imageRef) {
+  const stream = await docker.pull(imageRef);
+  await new Promise((resolve, reject) => {
+    docker.modem.followProgress(stream, (error, output) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      const failure = output?.find((event) => event?.error);
+      if (failure) {
+        reject(new Error(failure.error));
+        return;
+      }
+      resolve(output);
+    });
+  });
+}
+
+export async function getImageId(docker, imageRef) {
+  try {
+    const details = await docker.getImage(imageRef).inspect();
+    return details.Id;
+  } catch (error) {
+    if (error?.statusCode === 404) return null;
+    throw error;
+  }
+}
+
+export async function recreateContainer(docker, containerId, { image, verify } = {}) {
+  const oldContainer = docker.getContainer(containerId);
+  const details = await oldContainer.inspect();
+  const name = details.Name.replace(/^\//, '');
+  const wasRunning = Boolean(details.State?.Running);
+  const backupName = `${name}-previous-${Date.now()}`;
+  const imageConfig = await readImageConfig(docker, details.Image);
+  const { createOptions, extraNetworks } = buildCreateOptions(details, image, imageConfig);
+
+  let newContainer = null;
+  let renamed = false;
+  try {
+    if (wasRunning) {
+      await oldContainer.stop();
+    }
+    await oldContainer.rename({ name: backupName });
+    renamed = true;
+    newContainer = await docker.createContainer(createOptions);
+    for (const [networkName, endpointConfig] of extraNetworks) {
+      await docker
+        .getNetwork(networkName)
+        .connect({ Container: newContainer.id, EndpointConfig: endpointConfig });
+    }
+    if (wasRunning) {
+      await newContainer.start();
+    }
+    if (verify) {
+      await verify(newContainer);
+    }
+  } catch (error) {
+    error.rollback = await restorePreviousContainer(oldContainer, newContainer, {
+      name,
+      backupName,
+      renamed,
+      wasRunning,
+    });
+    throw error;
+  }
+
+  await oldContainer.remove({ force: true }).catch((error) => {
+    console.error(`Failed to remove previous container ${backupName}.`, error);
+  });
+
+  return {
+    name,
+    previousImageId: details.Image,
+    containerId: newContainer.id,
+  };
+}
+
+// Reports whether the previous container is back under its own name (and
+// running, if it was) and which name it was left under.
+async function restorePreviousContainer(
+  oldContainer,
+  newContainer,
+  { name, backupName, renamed, wasRunning }
+) {
+  let keptAs = renamed ? backupName : name;
+  try {
+    if (newContainer) {
+      await newContainer.remove({ force: true });
+    }
+    if (renamed) {
+      await oldContainer.rename({ name });
+      keptAs = name;
+    }
+    if (wasRunning) {
+      await oldContainer.start().catch((error) => {
+        // 304: it never stopped.
+        if (error?.statusCode !== 304) throw error;
+      });
+    }
+    return { restored: true, keptAs };
+  } catch (error) {
+    console.error(`Failed to restore previous container for ${name}.`, error);
+    return { restored: false, keptAs };
+  }
+}
+
+// How a failed recreateContainer() left things, for user-facing messages.
+export function describeRollback(error) {
+  if (!error?.rollback) return 'the container was not changed';
+  if (error.rollback.restored) return 'rolled back to the previous image';
+  return `rollback failed; previous container kept as ${error.rollback.keptAs}`;
+}
+
+async function readImageConfig(docker, imageId) {
+  try {
+    return (await docker.getImage(imageId).inspect()).Config ?? {};
+  } catch (error) {
+    if (error?.statusCode !== 404) throw error;
+    // Without the old image there is nothing to tell its defaults apart.
+    console.error(`Previous image ${imageId} is gone; keeping the container config as is.`);
+    return null;
+  }
+}
+
+export function buildCreateOptions(details, image, imageConfig = null) {
+  const config = imageConfig ? withoutImageDefaults(details.Config, imageConfig) : { ...details.Config };
+  const shortId = details.Id.slice(0, 12);
+  // Docker defaults the hostname to the container ID; let the new one pick its own.
+  if (config.Hostname === shortId) {
+    delete config.Hostname;
+  }
+
+  const networkMode = details.HostConfig?.NetworkMode ?? '';
+  const usesSharedNetwork =
+    networkMode === 'host' || networkMode === 'none' || networkMode.startsWith('container:');
+  const attachedNetworks = usesSharedNetwork ? {} : (details.NetworkSettings?.Networks ?? {});
+  const networks = Object.entries(attachedNetworks).map(([networkName, endpoint]) => [
+    networkName,
+    {
+      Aliases: (endpoint.Aliases ?? []).filter((alias) => alias !== shortId),
+      Links: endpoint.Links ?? undefined,
+      IPAMConfig: endpoint.IPAMConfig ?? undefined,
+      DriverOpts: endpoint.DriverOpts ?? undefined,
+    },
+  ]);
+  const [primaryNetwork, ...extraNetworks] = networks;
+
+  return {
+    createOptions: {
+      ...config,
+      name: details.Name.replace(/^\//, ''),
+      Image: image || config.Image,
+      HostConfig: withVolumeMounts(details.HostConfig ?? {}, details.Mounts ?? []),
+      NetworkingConfig: primaryNetwork
+        ? { EndpointsConfig: { [primaryNetwork[0]]: primaryNetwork[1] } }
+        : undefined,
+    },
+    extraNetworks,
+  };
+}
+
+function withoutImageDefaults(containerConfig, imageConfig) {
+  const config = { ...containerConfig };
+  for (const key of IMAGE_DEFAULT_KEYS) {
+    if (isEqual(config[key], imageConfig[key])) delete config[key];
+  }
+  // A custom entrypoint clears the image's Cmd, so a Cmd next to one was set explicitly.
+  if (config.Entrypoint !== undefined && containerConfig.Cmd !== undefined) {
+    config.Cmd = containerConfig.Cmd;
+  }
+
+  const imageEnv = new Set(imageConfig.Env ?? []);
+  config.Env = (config.Env ?? []).filter((entry) => !imageEnv.has(entry));
+  config.Labels = Object.fromEntries(
+    Object.entries(config.Labels ?? {}).filter(([key, value]) => imageConfig.Labels?.[key] !== value)
+  );
+  for (const key of ['ExposedPorts', 'Volumes']) {
+    config[key] = Object.fromEntries(
+      Object.entries(config[key] ?? {}).filter(([entry]) => !(entry in (imageConfig[key] ?? {})))
+    );
+  }
+  for (const key of ['Env', 'Labels', 'ExposedPorts', 'Volumes']) {
+    if (!Object.keys(config[key]).length) delete config[key];
+  }
+  return config;
+}
+
+// Named volumes given with -v or --mount are already in HostConfig; anonymous
+// ones only show up in Mounts and would otherwise start out empty.
+function withVolumeMounts(hostConfig, mounts) {
+  const covered = new Set([
+    ...(hostConfig.Binds ?? []).map((bind) => bind.split(':')[1]),
+    ...(hostConfig.Mounts ?? []).map((mount) => mount.Target),
+  ]);
+  const binds = mounts
+    .filter((mount) => mount.Type === 'volume' && mount.Name && !covered.has(mount.Destination))
+    .map((mount) => `${mount.Name}:${mount.Destination}${mount.RW === false ? ':ro' : ''}`);
+  if (!binds.length) return hostConfig;
+  return { ...hostConfig, Binds: [...(hostConfig.Binds ?? []), ...binds] };
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { describeRollback, recreateContainer } from './container-recreate.js';
+
+function createFakeDocker({ details, imageConfig, oldContainerMethods = {} }) {
+  const created = [];
+  const oldContainer = {
+    inspect: async () => details,
+    stop: async () => {},
+    rename: async () => {},
+    start: async () => {},
+    remove: async () => {},
+    ...oldContainerMethods,
+  };
+  return {
+    created,
+    getContainer: () => oldContainer,
+    getImage: (imageId) => ({
+      inspect: async () => {
+        assert.equal(imageId, details.Image);
+        return { Id: imageId, Config: imageConfig };
+      },
+    }),
+    getNetwork: () => ({ connect: async () => {} }),
+    createContainer: async (options) => {
+      created.push(options);
+      return { id: 'new-container', start: async () => {} };
+    },
+  };
+}
+
+const oldImageConfig = {
+  Env: ['PATH=/usr/local/bin:/usr/bin', 'APP_VERSION=1.0'],
+  Cmd: ['serve'],
+  Entrypoint: ['/entrypoint.sh'],
+  WorkingDir: '/app',
+  Labels: { 'org.opencontainers.image.version': '1.0' },
+  ExposedPorts: { '8080/tcp': {} },
+  Volumes: { '/data': {} },
+};
+
+function inspectDetails(overrides = {}) {
+  return {
+    Id: 'abcdef1234567890',
+    Name: '/app',
+    Image: 'sha256:old',
+    State: { Running: true },
+    Config: {
+      ...oldImageConfig,
+      Hostname: 'abcdef123456',
+      Image: 'example/app:latest',
+      Env: [...oldImageConfig.Env, 'TZ=Europe/Berlin'],
+      Labels: { ...oldImageConfig.Labels, 'com.docker.compose.project': 'media' },
+      ...overrides,
+    },
+    HostConfig: { Binds: ['/srv/app/config:/config'], NetworkMode: 'bridge' },
+    NetworkSettings: { Networks: {} },
+    Mounts: [
+      { Type: 'bind', Source: '/srv/app/config', Destination: '/config', RW: true },
+      {
+        Type: 'volume',
+        Name: '3f2a9c',
+        Source: '/var/lib/docker/volumes/3f2a9c/_data',
+        Destination: '/data',
+        RW: true,
+      },
+    ],
+  };
+}
+
+test('only values set for the container override the new image', async () => {
+  const docker = createFakeDocker({ details: inspectDetails(), imageConfig: oldImageConfig });
+  await recreateContainer(docker, 'abcdef1234567890', { image: 'example/app:latest' });
+
+  const [options] = docker.created;
+  // The new image's PATH and APP_VERSION win; only TZ was set for the container.
+  assert.deepEqual(options.Env, ['TZ=Europe/Berlin']);
+  assert.deepEqual(options.Labels, { 'com.docker.compose.project': 'media' });
+  for (const key of ['Cmd', 'Entrypoint', 'WorkingDir', 'ExposedPorts', 'Volumes', 'Hostname']) {
+    assert.equal(options[key], undefined, key);
+  }
+});
+
+test('anonymous volumes are reattached instead of starting empty', async () => {
+  const docker = createFakeDocker({ details: inspectDetails(), imageConfig: oldImageConfig });
+  await recreateContainer(docker, 'abcdef1234567890', { image: 'example/app:latest' });
+
+  assert.deepEqual(docker.created[0].HostConfig.Binds, ['/srv/app/config:/config', '3f2a9c:/data']);
+});
+
+test('a custom entrypoint keeps its command', async () => {
+  const docker = createFakeDocker({
+    details: inspectDetails({ Entrypoint: ['/bin/sh', '-c'] }),
+    imageConfig: oldImageConfig,
+  });
+  await recreateContainer(docker, 'abcdef1234567890', { image: 'example/app:latest' });
+
+  assert.deepEqual(docker.created[0].Entrypoint, ['/bin/sh', '-c']);
+  assert.deepEqual(docker.created[0].Cmd, ['serve']);
+});
+
+test('a failed rename after stopping restarts the previous container', async () => {
+  const calls = [];
+  const docker = createFakeDocker({
+    details: inspectDetails(),
+    imageConfig: oldImageConfig,
+    oldContainerMethods: {
+      rename: async () => {
+        throw new Error('name in use');
+      },
+      start: async () => calls.push('start'),
+    },
+  });
+
+  await assert.rejects(
+    recreateContainer(docker, 'abcdef1234567890', { image: 'example/app:latest' }),
+    (error) => {
+      assert.deepEqual(error.rollback, { restored: true, keptAs: 'app' });
+      return true;
+    }
+  );
+  assert.deepEqual(calls, ['start']);
+  assert.equal(docker.created.length, 0);
+});
+
+test('a failed restore says where the previous container was left', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  let renames = 0;
+  const docker = createFakeDocker({
+    details: inspectDetails(),
+    imageConfig: oldImageConfig,
+    oldContainerMethods: {
+      rename: async () => {
+        renames += 1;
+        if (renames > 1) throw new Error('rename back failed');
+      },
+    },
+  });
+  docker.createContainer = async () => {
+    throw new Error('invalid config');
+  };
+
+  await assert.rejects(
+    recreateContainer(docker, 'abcdef1234567890', { image: 'example/app:latest' }),
+    (error) => {
+      assert.equal(error.rollback.restored, false);
+      assert.match(
+        describeRollback(error),
+        /^rollback failed; previous container kept as app-previous-\d+$/
+      );
+      return true;
+    }
+  );
+});
@@ -0,0 +1,149 @@
+import { formatBytes } from './host-metrics.js';
+import { codeBlockReply } from './long-output.js';
+
+// Per-container resource usage from the Docker stats API. A non-streaming
+// stats call takes about a second per container (Docker samples twice to get
+// a CPU delta), so fan-out across many containers is capped and time-boxed.
+
+const STATS_TIMEOUT_MS = 10 * 1000;
+const MAX_TABLE_NAME_LENGTH = 24;
+
+export const STATS_SORT_KEYS = {
+  cpu: (entry) => entry.cpuPercent ?? -1,
+  memory: (entry) => entry.memoryUsedBytes ?? -1,
+  network: (entry) => (entry.networkRxBytes ?? 0) + (entry.networkTxBytes ?? 0),
+  block: (entry) => (entry.blockReadBytes ?? 0) + (entry.blockWriteBytes ?? 0),
+};
+
+export async function readContainerStats(docker, containerName) {
+  const container = docker.getContainer(containerName);
+  const raw = await withTimeout(container.stats({ stream: false }), STATS_TIMEOUT_MS);
+  return { name: containerName, ...computeStats(raw) };
+}
+
+export async function readStatsForContainers(docker, containerNames, { concurrency = 8 } = {}) {
+  return mapWithConcurrency(containerNames, concurrency, async (containerName) => {
+    try {
+      return await readContainerStats(docker, containerName);
+    } catch (error) {
+      console.error(`Failed to read stats for ${containerName}.`, error);
+      return { name: containerName, error: true };
+    }
+  });
+}
+
+export function computeStats(raw) {
+  const cpuDelta =
+    (raw.cpu_stats?.cpu_usage?.total_usage ?? 0) - (raw.precpu_stats?.cpu_usage?.total_usage ?? 0);
+  const systemDelta = (raw.cpu_stats?.system_cpu_usage ?? 0) - (raw.precpu_stats?.system_cpu_usage ?? 0);
+  const onlineCpus = raw.cpu_stats?.online_cpus || raw.cpu_stats?.cpu_usage?.percpu_usage?.length || 1;
+  // Without a previous sample (first read after start) there is no delta to report.
+  const hasCpuSample = Boolean(raw.precpu_stats?.system_cpu_usage) && systemDelta > 0 && cpuDelta >= 0;
+  const cpuPercent = hasCpuSample ? (cpuDelta / systemDelta) * onlineCpus * 100 : null;
+
+  const memoryStats = raw.memory_stats ?? {};
+  // Page cache is reclaimable, so subtract it the same way `docker stats` does
+  // (inactive_file on cgroup v2, total_inactive_file on v1).
+  const reclaimable = memoryStats.stats?.inactive_file ?? memoryStats.stats?.total_inactive_file ?? 0;
+  const memoryUsedBytes = memoryStats.usage === undefined ? null : memoryStats.usage - reclaimable;
+  const memoryLimitBytes = memoryStats.limit ?? null;
+
+  let networkRxBytes = 0;
+  let networkTxBytes = 0;
+  for (const network of Object.values(raw.networks ?? {})) {
+    networkRxBytes += network.rx_bytes ?? 0;
+    networkTxBytes += network.tx_bytes ?? 0;
+  }
+
+  let blockReadBytes = 0;
+  let blockWriteBytes = 0;
+  for (const entry of raw.blkio_stats?.io_service_bytes_recursive ?? []) {
+    const operation = entry.op?.toLowerCase();
+    if (operation === 'read') blockReadBytes += entry.value ?? 0;
+    if (operation === 'write') blockWriteBytes += entry.value ?? 0;
+  }
+
+  return {
+    cpuPercent,
+    memoryUsedBytes,
+    memoryLimitBytes,
+    memoryPercent:
+      memoryUsedBytes !== null && memoryLimitBytes ? (memoryUsedBytes / memoryLimitBytes) * 100 : null,
+    networkRxBytes,
+    networkTxBytes,
+    blockReadBytes,
+    blockWriteBytes,
+  };
+}
+
+export function formatContainerStats(stats) {
+  return [
+    `📈 **${stats.name}**`,
+    `**CPU:** ${formatPercent(stats.cpuPercent)}`,
+    `**Memory:** ${formatBytes(stats.memoryUsedBytes)} / ${formatBytes(stats.memoryLimitBytes)} (${formatPercent(stats.memoryPercent)})`,
+    `**Network I/O:** ${formatBytes(stats.networkRxBytes)} in / ${formatBytes(stats.networkTxBytes)} out`,
+    `**Block I/O:** ${formatBytes(stats.blockReadBytes)} read / ${formatBytes(stats.blockWriteBytes)} written`,
+  ].join('\n');
+}
+
+export function formatStatsTable(entries, { sortBy = 'cpu', limit = 10 } = {}) {
+  const sortKey = STATS_SORT_KEYS[sortBy] ?? STATS_SORT_KEYS.cpu;
+  const readable = entries.filter((entry) => !entry.error);
+  const failed = entries.length - readable.length;
+  const rows = readable
+    .sort((a, b) => sortKey(b) - sortKey(a) || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map((entry) => [
+      entry.name.length > MAX_TABLE_NAME_LENGTH
+        ? `${entry.name.slice(0, MAX_TABLE_NAME_LENGTH - 1)}…`
+        : entry.name,
+      formatPercent(entry.cpuPercent),
+      formatBytes(entry.memoryUsedBytes),
+      `${formatBytes(entry.networkRxBytes)}/${formatBytes(entry.networkTxBytes)}`,
+      `${formatBytes(entry.blockReadBytes)}/${formatBytes(entry.blockWriteBytes)}`,
+    ]);
+
+  const header = ['NAME', 'CPU', 'MEM', 'NET RX/TX', 'BLOCK R/W'];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join('  ')
+      .trimEnd();
+
+  const title = `📈 **Top ${rows.length} containers by ${sortBy}**`;
+  const failureNote = failed ? ` _(${failed} containers did not return stats)_` : '';
+  // 25 rows of long names can exceed Discord's message limit; those go out as a file.
+  return codeBlockReply([header, ...rows].map(formatRow).join('\n'), {
+    fileName: 'container-stats.txt',
+    summary: `${title}${failureNote}`,
+  });
+}
+
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await mapper(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? 'n/a' : `${value.toFixed(1)}%`;
+}
+
+function withTimeout(promise, milliseconds) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${milliseconds}ms`)), milliseconds);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { formatStatsTable } from './container-stats.js';
+import { MESSAGE_LIMIT } from './long-output.js';
+
+function entry(index) {
+  return {
+    name: `media-stack-service-${String(index).padStart(4, '0')}`,
+    cpuPercent: index,
+    memoryUsedBytes: 512 * 1024 ** 2,
+    networkRxBytes: 3 * 1024 ** 3,
+    networkTxBytes: 2 * 1024 ** 3,
+    blockReadBytes: 800 * 1024 ** 2,
+    blockWriteBytes: 1.5 * 1024 ** 3,
+  };
+}
+
+test('a short table is sent inline', () => {
+  const reply = formatStatsTable([entry(1), entry(2)], { sortBy: 'cpu', limit: 10 });
+  assert.ok(reply.content.includes('media-stack-service-0002'));
+  assert.equal(reply.files, undefined);
+});
+
+test('25 rows of long names go out as a file instead of passing the message limit', () => {
+  const entries = Array.from({ length: 30 }, (_, index) => entry(index));
+  const reply = formatStatsTable(entries, { sortBy: 'cpu', limit: 25 });
+  assert.ok(reply.content.length <= MESSAGE_LIMIT);
+  assert.equal(reply.files.length, 1);
+  assert.match(reply.content, /Top 25 containers by cpu/);
+});
@@ -0,0 +1,142 @@
+// Next run time of a cron expression. node-cron only fires tasks and cannot
+// say when they will fire next, so this reads the same syntax: five fields,
+// or six with leading seconds; numbers, names, ranges, steps and lists; every
+// field must match, like node-cron. Validate with cron.validate() first.
+
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  {
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+// Weekday and leap-day combinations can take years to come around.
+const SEARCH_DAYS = 8 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function nextCronRun(expression, { timezone, after = new Date() } = {}) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length === 5) fields.unshift('0');
+  const [seconds, minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseField(field, FIELDS[index])
+  );
+  const times = { seconds: sorted(seconds), minutes: sorted(minutes), hours: sorted(hours) };
+  if (weekdays.has(7)) weekdays.add(0);
+
+  const start = wallClock(after, timezone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+  for (let offset = 0; offset <= SEARCH_DAYS; offset += 1) {
+    const date = new Date(startDay + offset * DAY_MS);
+    if (
+      !months.has(date.getUTCMonth() + 1) ||
+      !days.has(date.getUTCDate()) ||
+      !weekdays.has(date.getUTCDay())
+    ) {
+      continue;
+    }
+    for (const hour of times.hours) {
+      for (const minute of times.minutes) {
+        for (const second of times.seconds) {
+          const wall = {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour,
+            minute,
+            second,
+          };
+          if (offset === 0 && compareTime(wall, start) <= 0) continue;
+          const instant = fromWallClock(wall, timezone);
+          if (instant && instant > after) return instant;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function parseField(field, { min, max, names = [] }) {
+  const values = new Set();
+  for (const part of field.toLowerCase().split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const [first, last] = range.split('-').map((value) => parseValue(value, names));
+      from = first;
+      // "5/15" steps from 5 to the end of the field.
+      to = last ?? (stepText === undefined ? first : max);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+function parseValue(value, names) {
+  const index = names.findIndex((name) => value.startsWith(name));
+  if (index !== -1) return index + (names.length === 12 ? 1 : 0);
+  return Number(value);
+}
+
+function sorted(values) {
+  return [...values].sort((a, b) => a - b);
+}
+
+function compareTime(a, b) {
+  return a.hour - b.hour || a.minute - b.minute || a.second - b.second;
+}
+
+const formatters = new Map();
+
+function wallClock(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  const parts = formatters.get(timezone).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+}
+
+// The instant a wall-clock time happens in the timezone, or null when a DST
+// change skips it (node-cron never fires those either).
+function fromWallClock(wall, timezone) {
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  let instant = asUtc;
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    const seen = wallClock(new Date(instant), timezone);
+    const seenAsUtc = Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute, seen.second);
+    instant += asUtc - seenAsUtc;
+  }
+  const check = wallClock(new Date(instant), timezone);
+  const matches = ['year', 'month', 'day', 'hour', 'minute', 'second'].every(
+    (key) => check[key] === wall[key]
+  );
+  return matches ? new Date(instant) : null;
+}
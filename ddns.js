@@ -0,0 +1,306 @@
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+
+// Dynamic DNS. Records come from ddns.json in BOT_STATE_DIR (re-read on every
+// sync) and are pointed at the current public address whenever it changes;
+// records whose last update failed are retried on the next external IP check.
+// The last address pushed to each record is kept in ddns-state.json. Provider
+// endpoints can be overridden (`apiUrl`, `url`) to test against a local server.
+//
+// {
+//   "records": [
+//     { "name": "home", "provider": "cloudflare", "apiToken": "...", "zoneId": "...",
+//       "record": "home.example.com", "proxied": false },
+//     { "name": "home6", "provider": "cloudflare", "apiToken": "...", "zoneId": "...",
+//       "record": "home.example.com", "family": "v6" },
+//     { "name": "duck", "provider": "duckdns", "domains": "myhome", "token": "..." },
+//     { "name": "dyn", "provider": "http", "url": "https://dyn.example.com/update?host=home&ip={ip}",
+//       "username": "user", "password": "...", "expect": "good" },
+//     { "name": "bind", "provider": "rfc2136", "server": "ns1.example.com", "zone": "example.com",
+//       "record": "home.example.com", "keyFile": "/keys/home.key", "ttl": 300 }
+//   ]
+// }
+
+export const DDNS_PROVIDERS = ['cloudflare', 'duckdns', 'http', 'rfc2136'];
+
+const CLOUDFLARE_API = 'https://api.cloudflare.com/client/v4';
+const DUCKDNS_URL = 'https://www.duckdns.org/update';
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const RECORD_TYPES = { v4: 'A', v6: 'AAAA' };
+
+export function createDdnsUpdater({ configPath, statePath, notify, fetchImpl = fetch }) {
+  let state = null;
+  let syncing = Promise.resolve();
+
+  async function loadState() {
+    if (state) return state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error('Failed to read DDNS state.', error);
+      }
+      state = {};
+    }
+    return state;
+  }
+
+  async function saveState() {
+    try {
+      await fs.promises.writeFile(statePath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write DDNS state.', error);
+    }
+  }
+
+  async function loadRecords() {
+    let raw;
+    try {
+      raw = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Invalid DDNS config at ${configPath}.`, error);
+      }
+      return [];
+    }
+
+    const records = [];
+    for (const record of raw?.records ?? []) {
+      const problem = validateRecord(record);
+      if (problem) {
+        console.error(`Skipping DDNS record ${record?.name ?? JSON.stringify(record)}: ${problem}`);
+        continue;
+      }
+      if (record.enabled === false) continue;
+      records.push({ ...record, family: record.family || 'v4' });
+    }
+    return records;
+  }
+
+  async function runSync(addresses, { force = false, only } = {}) {
+    const records = (await loadRecords()).filter((record) => !only || record.name === only);
+    await loadState();
+
+    const results = [];
+    const messages = [];
+    for (const record of records) {
+      const address = addresses[record.family];
+      const previous = state[record.name];
+      if (!address) continue;
+      if (!force && previous?.ok && previous.address === address) continue;
+
+      let result;
+      try {
+        const detail = await PROVIDER_UPDATES[record.provider](record, address, { fetchImpl });
+        result = { ok: true, message: detail };
+      } catch (error) {
+        console.error(`Failed to update DDNS record ${record.name}.`, error);
+        result = { ok: false, message: error?.message ?? String(error) };
+      }
+      const now = new Date().toISOString();
+      state[record.name] = {
+        address,
+        ok: result.ok,
+        message: result.message,
+        attemptedAt: now,
+        updatedAt: result.ok ? now : (previous?.updatedAt ?? null),
+      };
+      results.push({ record, address, ...result });
+
+      // A record that keeps failing for the same address is only reported once.
+      const repeatedFailure = !result.ok && previous && !previous.ok && previous.address === address;
+      if (!repeatedFailure) {
+        messages.push(formatSyncResult(record, address, result));
+      }
+    }
+    await saveState();
+
+    // Forced syncs come from /ddns sync, which shows the results itself.
+    if (messages.length && !force) {
+      const failed = results.some((result) => !result.ok);
+      try {
+        await notify(`🌐 **Dynamic DNS**\n${messages.join('\n')}`, {
+          severity: failed ? 'warning' : 'info',
+        });
+      } catch (error) {
+        console.error('Failed to send DDNS notification.', error);
+      }
+    }
+    return results;
+  }
+
+  return {
+    // Syncs run one at a time so two IP checks cannot update a record twice.
+    sync(addresses, options) {
+      const run = syncing.then(() => runSync(addresses, options));
+      syncing = run.catch(() => {});
+      return run;
+    },
+    async status() {
+      const records = await loadRecords();
+      await loadState();
+      return records.map((record) => ({ record, state: state[record.name] ?? null }));
+    },
+    async names() {
+      return (await loadRecords()).map((record) => record.name);
+    },
+  };
+}
+
+export function validateRecord(record) {
+  if (!record?.name) return 'Records need a name.';
+  if (!DDNS_PROVIDERS.includes(record.provider)) {
+    return `Unknown provider '${record.provider}'. Use ${DDNS_PROVIDERS.join(', ')}.`;
+  }
+  if (record.family && !RECORD_TYPES[record.family]) return "family must be 'v4' or 'v6'.";
+  switch (record.provider) {
+    case 'cloudflare':
+      return record.apiToken && record.zoneId && record.record
+        ? null
+        : 'Cloudflare records need apiToken, zoneId and record.';
+    case 'duckdns':
+      return record.domains && record.token ? null : 'DuckDNS records need domains and token.';
+    case 'http':
+      return /^https?:\/\//i.test(record.url ?? '') ? null : 'HTTP records need an http(s) url.';
+    case 'rfc2136':
+      return record.server && record.zone && record.record
+        ? null
+        : 'RFC 2136 records need server, zone and record.';
+    default:
+      return null;
+  }
+}
+
+// Each provider resolves with a short description or throws with the reason.
+const PROVIDER_UPDATES = {
+  async cloudflare(record, address, { fetchImpl }) {
+    const apiUrl = (record.apiUrl || CLOUDFLARE_API).replace(/\/$/, '');
+    const type = RECORD_TYPES[record.family];
+    const headers = {
+      authorization: `Bearer ${record.apiToken}`,
+      'content-type': 'application/json',
+    };
+    const recordsUrl = `${apiUrl}/zones/${encodeURIComponent(record.zoneId)}/dns_records`;
+    const lookup = await cloudflareRequest(
+      fetchImpl,
+      `${recordsUrl}?type=${type}&name=${encodeURIComponent(record.record)}`,
+      { headers }
+    );
+    const existing = lookup.result?.[0];
+    if (existing?.content === address) {
+      return `${type} ${record.record} already ${address}`;
+    }
+
+    const body = JSON.stringify({
+      type,
+      name: record.record,
+      content: address,
+      ttl: record.ttl ?? existing?.ttl ?? 1,
+      proxied: record.proxied ?? existing?.proxied ?? false,
+    });
+    if (existing) {
+      await cloudflareRequest(fetchImpl, `${recordsUrl}/${existing.id}`, {
+        method: 'PUT',
+        headers,
+        body,
+      });
+      return `${type} ${record.record} → ${address}`;
+    }
+    await cloudflareRequest(fetchImpl, recordsUrl, { method: 'POST', headers, body });
+    return `created ${type} ${record.record} → ${address}`;
+  },
+  async duckdns(record, address, { fetchImpl }) {
+    const url = new URL(record.url || DUCKDNS_URL);
+    url.searchParams.set('domains', record.domains);
+    url.searchParams.set('token', record.token);
+    url.searchParams.set(record.family === 'v6' ? 'ipv6' : 'ip', address);
+    const response = await fetchImpl(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    const text = (await response.text()).trim();
+    if (!response.ok || !text.startsWith('OK')) {
+      throw new Error(`DuckDNS answered ${response.status} ${text.slice(0, 100)}`);
+    }
+    return `${record.domains} → ${address}`;
+  },
+  async http(record, address, { fetchImpl }) {
+    const url = record.url.replaceAll('{ip}', encodeURIComponent(address));
+    const headers = { ...record.headers };
+    if (record.username) {
+      const credentials = Buffer.from(`${record.username}:${record.password ?? ''}`).toString('base64');
+      headers.authorization = `Basic ${credentials}`;
+    }
+    const response = await fetchImpl(url, {
+      method: record.method || 'GET',
+      headers,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const text = (await response.text()).trim();
+    if (!response.ok || (record.expect && !text.includes(record.expect))) {
+      throw new Error(`Endpoint answered ${response.status} ${text.slice(0, 100)}`);
+    }
+    return `${new URL(url).host} → ${address}`;
+  },
+  // RFC 2136 dynamic updates go through nsupdate (bind-tools), signed with
+  // the TSIG key in keyFile when one is given.
+  rfc2136(record, address) {
+    const type = RECORD_TYPES[record.family];
+    const script = [
+      `server ${record.server}${record.port ? ` ${record.port}` : ''}`,
+      `zone ${record.zone}`,
+      `update delete ${record.record} ${type}`,
+      `update add ${record.record} ${record.ttl ?? 300} ${type} ${address}`,
+      'send',
+      '',
+    ].join('\n');
+    const args = record.keyFile ? ['-k', record.keyFile] : [];
+    return new Promise((resolve, reject) => {
+      const child = execFile(
+        'nsupdate',
+        args,
+        { timeout: REQUEST_TIMEOUT_MS },
+        (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error(stderr.trim() || error.message));
+            return;
+          }
+          resolve(`${type} ${record.record} → ${address}`);
+        }
+      );
+      child.stdin.end(script);
+    });
+  },
+};
+
+async function cloudflareRequest(fetchImpl, url, options) {
+  const response = await fetchImpl(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const payload = await response.json().catch(() => null);
+  if (!response.ok || !payload?.success) {
+    const reason =
+      payload?.errors?.map((error) => error.message).join('; ') || `HTTP ${response.status}`;
+    throw new Error(`Cloudflare: ${reason}`);
+  }
+  return payload;
+}
+
+export function formatDdnsStatus(entries) {
+  if (!entries.length) {
+    return 'No DDNS records configured.';
+  }
+  return entries
+    .map(({ record, state }) => {
+      const target = `${record.provider}, ${RECORD_TYPES[record.family]}`;
+      if (!state) return `⚪ **${record.name}** (${target}) not synced yet`;
+      const attempted = `<t:${Math.floor(new Date(state.attemptedAt).getTime() / 1000)}:R>`;
+      if (!state.ok) {
+        return `❌ **${record.name}** (${target}) failed ${attempted} for \`${state.address}\` — ${state.message}`;
+      }
+      const updated = `<t:${Math.floor(new Date(state.updatedAt).getTime() / 1000)}:R>`;
+      return `✅ **${record.name}** (${target}) \`${state.address}\` since ${updated}`;
+    })
+    .join('\n');
+}
+
+function formatSyncResult(record, address, result) {
+  return result.ok
+    ? `✅ **${record.name}** — ${result.message}`
+    : `❌ **${record.name}** — could not set \`${address}\`: ${result.message}`;
+}
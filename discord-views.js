@@ -0,0 +1,295 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  EmbedBuilder,
+  StringSelectMenuBuilder,
+} from 'discord.js';
+
+// Embed views for status and container listings. The plain-text formatters in
+// index.js stay in use for DMs and for everything sent through the notifier.
+
+const COLORS = { healthy: 0x2ecc71, degraded: 0xf1c40f, unhealthy: 0xe74c3c };
+const HEALTH_ICONS = { healthy: '🟢', starting: '🟡', unhealthy: '🔴' };
+const CONTAINERS_PER_PAGE = 15;
+const PAGE_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_FIELD_VALUE_LENGTH = 1024;
+
+export function containerIcon(container) {
+  if (container.state && container.state !== 'running') return '⚫';
+  return HEALTH_ICONS[container.health] ?? HEALTH_ICONS.healthy;
+}
+
+// `hosts` lists each Docker host with whether it answered; null when there is only one.
+export function buildStatusPages({
+  gatewayIp,
+  externalAddresses,
+  hostSummary,
+  containers,
+  hosts = null,
+  maintenance = null,
+  groupByStack,
+}) {
+  const summaryFields = [];
+  if (maintenance) {
+    summaryFields.push({ name: 'Maintenance', value: maintenance });
+  }
+  if (gatewayIp !== null) {
+    summaryFields.push(
+      { name: 'Host IP', value: `\`${gatewayIp}\``, inline: true },
+      { name: 'External IP', value: `\`${externalAddresses.v4 ?? 'unknown'}\``, inline: true }
+    );
+    if ('v6' in externalAddresses) {
+      summaryFields.push({
+        name: 'External IPv6',
+        value: `\`${externalAddresses.v6 ?? 'unknown'}\``,
+        inline: true,
+      });
+    }
+  }
+  summaryFields.push({ name: 'Running', value: `${containers.length}`, inline: true });
+  if (hostSummary) {
+    summaryFields.push({ name: 'Host', value: hostSummary });
+  }
+
+  let containerFields;
+  if (hosts) {
+    containerFields = hostFields(containers, hosts, groupByStack);
+  } else if (groupByStack) {
+    containerFields = stackFields(containers);
+  } else {
+    containerFields = containers.map((container) => ({
+      name: `${containerIcon(container)} ${container.name}`,
+      value: container.uptime,
+      inline: true,
+    }));
+  }
+  const fieldPages = chunk(containerFields, hosts || groupByStack ? 5 : CONTAINERS_PER_PAGE);
+  if (!fieldPages.length) fieldPages.push([{ name: 'Containers', value: '(no running containers)' }]);
+
+  const color = hosts?.some((host) => !host.reachable) ? COLORS.unhealthy : overallColor(containers);
+  return fieldPages.map((fields, index) => ({
+    embeds: [
+      new EmbedBuilder()
+        .setTitle(maintenance ? '📊 Homelab Status — 🛠️ in maintenance' : '📊 Homelab Status')
+        .setColor(color)
+        .addFields(index === 0 ? [...summaryFields, ...fields] : fields)
+        .setFooter(pageFooter(index, fieldPages.length))
+        .setTimestamp(),
+    ],
+  }));
+}
+
+export function buildContainerPages(containers, { hostName } = {}) {
+  const pages = chunk(containers, CONTAINERS_PER_PAGE);
+  const color = overallColor(containers);
+  const where = hostName ? ` on ${hostName}` : '';
+  return pages.map((pageContainers, index) => ({
+    embeds: [
+      new EmbedBuilder()
+        .setTitle(`🐳 Running containers${where} (${containers.length})`)
+        .setColor(color)
+        .setDescription(
+          pageContainers
+            .map(
+              (container) => `${containerIcon(container)} **${container.name}** — ${container.uptime}`
+            )
+            .join('\n')
+        )
+        .setFooter(pageFooter(index, pages.length)),
+    ],
+    items: pageContainers.map((container) => ({
+      label: container.name.slice(0, 100),
+      value: container.name.slice(0, 100),
+      description: container.uptime,
+    })),
+  }));
+}
+
+export function buildContainerDetail(container, customIdPrefix) {
+  const running = container.state === 'running';
+  let color = COLORS.healthy;
+  if (!running || container.health === 'unhealthy') color = COLORS.unhealthy;
+  else if (container.health === 'starting') color = COLORS.degraded;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${containerIcon(container)} ${container.name}`)
+    .setColor(color)
+    .addFields(
+      { name: 'State', value: container.state, inline: true },
+      { name: 'Health', value: container.health ?? 'no healthcheck', inline: true },
+      { name: 'Uptime', value: running ? container.uptime : '—', inline: true },
+      { name: 'Image', value: `\`${container.image}\`` }
+    );
+  if (container.stack) {
+    embed.addFields({ name: 'Stack', value: container.stack, inline: true });
+  }
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${customIdPrefix}:restart`)
+      .setLabel('Restart')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(!running),
+    new ButtonBuilder()
+      .setCustomId(`${customIdPrefix}:stop`)
+      .setLabel('Stop')
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(!running),
+    new ButtonBuilder()
+      .setCustomId(`${customIdPrefix}:start`)
+      .setLabel('Start')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(running),
+    new ButtonBuilder()
+      .setCustomId(`${customIdPrefix}:logs`)
+      .setLabel('Logs')
+      .setStyle(ButtonStyle.Secondary)
+  );
+  return { embeds: [embed], components: [buttons] };
+}
+
+// Shows pages on an already deferred interaction with Prev/Next buttons and,
+// when pages carry `items` and `onSelect` is given, a select menu for them.
+export async function replyWithPages(interaction, pages, { onSelect, placeholder } = {}) {
+  const prefix = `pages:${interaction.id}`;
+  let pageIndex = 0;
+
+  const render = () => {
+    const page = pages[pageIndex];
+    const components = [];
+    if (onSelect && page.items?.length) {
+      components.push(
+        new ActionRowBuilder().addComponents(
+          new StringSelectMenuBuilder()
+            .setCustomId(`${prefix}:select`)
+            .setPlaceholder(placeholder ?? 'Select an item')
+            .addOptions(page.items.slice(0, 25))
+        )
+      );
+    }
+    if (pages.length > 1) {
+      components.push(
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId(`${prefix}:prev`)
+            .setLabel('Prev')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(pageIndex === 0),
+          new ButtonBuilder()
+            .setCustomId(`${prefix}:next`)
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(pageIndex === pages.length - 1)
+        )
+      );
+    }
+    return { content: '', embeds: page.embeds, components };
+  };
+
+  const initial = render();
+  const message = await interaction.editReply(initial);
+  if (!initial.components.length) return;
+
+  const collector = message.createMessageComponentCollector({ time: PAGE_TIMEOUT_MS });
+  collector.on('collect', async (component) => {
+    try {
+      if (
+        component.customId === `${prefix}:select` &&
+        component.componentType === ComponentType.StringSelect
+      ) {
+        await onSelect(component, component.values[0]);
+        return;
+      }
+      if (component.customId === `${prefix}:prev`) pageIndex = Math.max(0, pageIndex - 1);
+      if (component.customId === `${prefix}:next`) pageIndex = Math.min(pages.length - 1, pageIndex + 1);
+      await component.update(render());
+    } catch (error) {
+      console.error('Failed to handle page interaction.', error);
+    }
+  });
+  collector.on('end', async () => {
+    try {
+      await interaction.editReply({ components: [] });
+    } catch (error) {
+      console.error('Failed to remove page controls.', error);
+    }
+  });
+}
+
+function hostFields(containers, hosts, groupByStack) {
+  return hosts.flatMap(({ name, reachable }) => {
+    if (!reachable) return [{ name: `🖥️ ${name}`, value: '🔴 unreachable' }];
+    const hostContainers = containers.filter((container) => container.host === name);
+    let lines = hostContainers.map(containerLine);
+    if (groupByStack) {
+      lines = stackGroups(hostContainers).flatMap(([stackName, group]) => [
+        `__${stackName || 'standalone'}__`,
+        ...group.map(containerLine),
+      ]);
+    }
+    return splitIntoFields(
+      `🖥️ ${name} (${hostContainers.length})`,
+      lines.length ? lines : ['(no running containers)']
+    );
+  });
+}
+
+function stackFields(containers) {
+  return stackGroups(containers).flatMap(([stackName, group]) =>
+    splitIntoFields(stackName || 'standalone', group.map(containerLine))
+  );
+}
+
+// Stacks alphabetically, containers outside any stack last.
+function stackGroups(containers) {
+  const groups = new Map();
+  for (const container of containers) {
+    const stackName = container.stack || '';
+    if (!groups.has(stackName)) groups.set(stackName, []);
+    groups.get(stackName).push(container);
+  }
+  return [...groups.entries()].sort(([a], [b]) => {
+    if (!a) return 1;
+    if (!b) return -1;
+    return a.localeCompare(b);
+  });
+}
+
+function containerLine(container) {
+  return `${containerIcon(container)} ${container.name} — ${container.uptime}`;
+}
+
+// Fields are capped at 1024 characters; longer lists continue in a field of the same name.
+function splitIntoFields(name, lines) {
+  const fields = [];
+  let value = '';
+  for (const line of lines) {
+    if (value && value.length + 1 + line.length > MAX_FIELD_VALUE_LENGTH) {
+      fields.push({ name, value });
+      value = '';
+    }
+    value = value ? `${value}\n${line}` : line;
+  }
+  fields.push({ name, value });
+  return fields;
+}
+
+function overallColor(containers) {
+  if (containers.some((container) => container.health === 'unhealthy')) return COLORS.unhealthy;
+  if (containers.some((container) => container.health === 'starting')) return COLORS.degraded;
+  return COLORS.healthy;
+}
+
+function pageFooter(index, total) {
+  return { text: total > 1 ? `Page ${index + 1} of ${total}` : 'Homelab bot' };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
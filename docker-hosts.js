@@ -0,0 +1,119 @@
+import Docker from 'dockerode';
+import fs from 'node:fs';
+
+// Docker endpoints the bot manages. Hosts come from docker-hosts.json in
+// BOT_STATE_DIR (read at startup); without the file there is a single "local"
+// host on the default socket. Certificate and key paths are read when the
+// file is loaded, so the bot needs to be able to read them.
+//
+// {
+//   "hosts": [
+//     { "name": "nas", "socketPath": "/var/run/docker.sock", "default": true },
+//     { "name": "pi", "host": "192.168.1.20", "port": 2376,
+//       "ca": "/certs/pi/ca.pem", "cert": "/certs/pi/cert.pem", "key": "/certs/pi/key.pem" },
+//     { "name": "vps", "protocol": "ssh", "host": "vps.example.com", "username": "deploy",
+//       "privateKey": "/keys/id_ed25519" }
+//   ]
+// }
+
+const HOST_NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,31}$/i;
+const LOCAL_HOST = { name: 'local', socketPath: '/var/run/docker.sock' };
+
+export function loadDockerHosts({ configPath, createDocker = (options) => new Docker(options) }) {
+  let entries = [LOCAL_HOST];
+  try {
+    entries = JSON.parse(fs.readFileSync(configPath, 'utf8'))?.hosts ?? [];
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      console.error(`Invalid Docker host config at ${configPath}; using the local socket.`, error);
+    }
+  }
+
+  const hosts = [];
+  for (const entry of entries) {
+    if (!HOST_NAME_PATTERN.test(entry?.name ?? '') || hosts.some((host) => host.name === entry.name)) {
+      console.error(
+        `Skipping Docker host with a missing, invalid or duplicate name: ${JSON.stringify(entry)}.`
+      );
+      continue;
+    }
+    try {
+      hosts.push({
+        name: entry.name,
+        isDefault: entry.default === true,
+        endpoint: describeEndpoint(entry),
+        docker: createDocker(buildConnectionOptions(entry)),
+      });
+    } catch (error) {
+      console.error(`Failed to configure Docker host ${entry.name}.`, error);
+    }
+  }
+  if (!hosts.length) {
+    console.error('No usable Docker hosts configured; falling back to the local socket.');
+    hosts.push({
+      name: LOCAL_HOST.name,
+      isDefault: true,
+      endpoint: describeEndpoint(LOCAL_HOST),
+      docker: createDocker(buildConnectionOptions(LOCAL_HOST)),
+    });
+  }
+
+  const defaultHost = hosts.find((host) => host.isDefault) ?? hosts[0];
+  return {
+    list() {
+      return hosts;
+    },
+    names() {
+      return hosts.map((host) => host.name);
+    },
+    get(name) {
+      if (!name) return defaultHost;
+      return hosts.find((host) => host.name === name) ?? null;
+    },
+    defaultHost() {
+      return defaultHost;
+    },
+    isMultiHost() {
+      return hosts.length > 1;
+    },
+  };
+}
+
+export function buildConnectionOptions(entry) {
+  if (entry.socketPath) {
+    return { socketPath: entry.socketPath };
+  }
+  if (!entry.host) {
+    throw new Error('Docker host needs either socketPath or host.');
+  }
+
+  if (entry.protocol === 'ssh') {
+    const sshOptions = { agent: process.env.SSH_AUTH_SOCK };
+    if (entry.privateKey) sshOptions.privateKey = fs.readFileSync(entry.privateKey);
+    return {
+      protocol: 'ssh',
+      host: entry.host,
+      port: entry.port ?? 22,
+      username: entry.username,
+      sshOptions,
+    };
+  }
+
+  const tls = Boolean(entry.ca || entry.cert || entry.key);
+  const options = {
+    protocol: entry.protocol ?? (tls ? 'https' : 'http'),
+    host: entry.host,
+    port: entry.port ?? (tls ? 2376 : 2375),
+  };
+  if (entry.ca) options.ca = fs.readFileSync(entry.ca);
+  if (entry.cert) options.cert = fs.readFileSync(entry.cert);
+  if (entry.key) options.key = fs.readFileSync(entry.key);
+  return options;
+}
+
+function describeEndpoint(entry) {
+  if (entry.socketPath) return `unix://${entry.socketPath}`;
+  if (entry.protocol === 'ssh')
+    return `ssh://${entry.username ? `${entry.username}@` : ''}${entry.host}`;
+  return `tcp://${entry.host}:${entry.port ?? (entry.ca || entry.cert ? 2376 : 2375)}`;
+}
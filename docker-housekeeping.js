@@ -0,0 +1,249 @@
+import { formatBytes } from './host-metrics.js';
+
+// Disk usage and pruning. A prune is planned from `docker system df` data
+// first, and executing it removes exactly the planned items one by one, so
+// the confirmation shows what will really be deleted. Build cache is the
+// exception: it has no per-item removal, so it goes through the prune API,
+// which removes whatever the daemon considers unused. Its plan is only an
+// estimate from `docker system df` and the confirmation says so.
+
+export const PRUNE_TARGETS = ['images', 'containers', 'volumes', 'builder'];
+
+const ACTIVE_CONTAINER_STATES = new Set(['running', 'paused', 'restarting']);
+const MAX_PLAN_ITEMS_SHOWN = 15;
+
+export async function readDiskUsage(docker) {
+  const df = await docker.df();
+  const images = df.Images ?? [];
+  const containers = df.Containers ?? [];
+  const volumes = (df.Volumes ?? []).filter((volume) => volume.UsageData);
+  const buildCache = df.BuildCache ?? [];
+
+  const sum = (items, size) => items.reduce((total, item) => total + Math.max(size(item) ?? 0, 0), 0);
+  const unusedImages = images.filter((image) => image.Containers === 0);
+  const stoppedContainers = containers.filter(
+    (container) => !ACTIVE_CONTAINER_STATES.has(container.State)
+  );
+  const unusedVolumes = volumes.filter((volume) => volume.UsageData.RefCount === 0);
+  const idleCache = buildCache.filter((entry) => !entry.InUse);
+
+  return {
+    rows: [
+      {
+        type: 'Images',
+        total: images.length,
+        active: images.length - unusedImages.length,
+        sizeBytes: df.LayersSize ?? sum(images, (image) => image.Size),
+        reclaimableBytes: sum(unusedImages, uniqueImageSize),
+      },
+      {
+        type: 'Containers',
+        total: containers.length,
+        active: containers.length - stoppedContainers.length,
+        sizeBytes: sum(containers, (container) => container.SizeRw),
+        reclaimableBytes: sum(stoppedContainers, (container) => container.SizeRw),
+      },
+      {
+        type: 'Volumes',
+        total: volumes.length,
+        active: volumes.length - unusedVolumes.length,
+        sizeBytes: sum(volumes, (volume) => volume.UsageData.Size),
+        reclaimableBytes: sum(unusedVolumes, (volume) => volume.UsageData.Size),
+      },
+      {
+        type: 'Build cache',
+        total: buildCache.length,
+        active: buildCache.length - idleCache.length,
+        sizeBytes: sum(buildCache, (entry) => entry.Size),
+        reclaimableBytes: sum(
+          idleCache.filter((entry) => !entry.Shared),
+          (entry) => entry.Size
+        ),
+      },
+    ],
+    volumes,
+  };
+}
+
+export function formatDiskUsage(usage, title = '💽 **Docker disk usage**') {
+  const header = ['TYPE', 'TOTAL', 'ACTIVE', 'SIZE', 'RECLAIMABLE'];
+  const rows = usage.rows.map((row) => [
+    row.type,
+    String(row.total),
+    String(row.active),
+    formatBytes(row.sizeBytes),
+    formatBytes(row.reclaimableBytes),
+  ]);
+  const widths = header.map((heading, column) =>
+    Math.max(heading.length, ...rows.map((row) => row[column].length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join('  ')
+      .trimEnd();
+  return `${title}\n\`\`\`\n${[header, ...rows].map(formatRow).join('\n')}\n\`\`\``;
+}
+
+// Largest first; unused volumes are marked so they stand out before a prune.
+export function formatVolumeList(usage) {
+  if (!usage.volumes.length) return ['No volumes found.'];
+  return [...usage.volumes]
+    .sort((a, b) => (b.UsageData.Size ?? 0) - (a.UsageData.Size ?? 0))
+    .map((volume) => {
+      const size = volume.UsageData.Size >= 0 ? formatBytes(volume.UsageData.Size) : 'size unknown';
+      const refCount = volume.UsageData.RefCount;
+      const usedBy =
+        refCount > 0 ? `used by ${refCount} container${refCount === 1 ? '' : 's'}` : '**unused**';
+      return `\`${volume.Name}\` — ${size}, ${usedBy}${isAnonymousVolume(volume) ? ' (anonymous)' : ''}`;
+    });
+}
+
+// `all` widens images from dangling to every unused image, volumes from
+// anonymous to every unused volume, and build cache to shared entries.
+export async function planPrune(docker, target, { all = false } = {}) {
+  const df = await docker.df();
+  let items = [];
+  if (target === 'containers') {
+    items = (df.Containers ?? [])
+      .filter((container) => !ACTIVE_CONTAINER_STATES.has(container.State))
+      .map((container) => ({
+        id: container.Id,
+        label: (container.Names?.[0] || container.Id.slice(0, 12)).replace(/^\//, ''),
+        sizeBytes: Math.max(container.SizeRw ?? 0, 0),
+      }));
+  } else if (target === 'images') {
+    items = (df.Images ?? [])
+      .filter((image) => image.Containers === 0 && (all || isDanglingImage(image)))
+      .map((image) => ({
+        id: image.Id,
+        label: isDanglingImage(image)
+          ? image.Id.replace(/^sha256:/, '').slice(0, 12)
+          : image.RepoTags[0],
+        sizeBytes: uniqueImageSize(image),
+        force: (image.RepoTags?.length ?? 0) > 1,
+      }));
+  } else if (target === 'volumes') {
+    items = (df.Volumes ?? [])
+      .filter((volume) => volume.UsageData?.RefCount === 0 && (all || isAnonymousVolume(volume)))
+      .map((volume) => ({
+        id: volume.Name,
+        label: volume.Name.length > 40 ? `${volume.Name.slice(0, 12)}…` : volume.Name,
+        sizeBytes: Math.max(volume.UsageData.Size ?? 0, 0),
+      }));
+  } else if (target === 'builder') {
+    items = (df.BuildCache ?? [])
+      .filter((entry) => !entry.InUse && (all || !entry.Shared))
+      .map((entry) => ({
+        id: entry.ID,
+        label: `${entry.Type ?? 'cache'} ${String(entry.ID).slice(0, 12)}`,
+        sizeBytes: Math.max(entry.Size ?? 0, 0),
+      }));
+  }
+  return {
+    target,
+    all,
+    items,
+    reclaimableBytes: items.reduce((total, item) => total + item.sizeBytes, 0),
+  };
+}
+
+export async function executePrune(docker, plan) {
+  if (plan.target === 'builder') {
+    const result = await docker.pruneBuilder(plan.all ? { all: true } : {});
+    return {
+      removed: result?.CachesDeleted?.length ?? plan.items.length,
+      failed: [],
+      reclaimedBytes: result?.SpaceReclaimed ?? 0,
+    };
+  }
+
+  let removed = 0;
+  let reclaimedBytes = 0;
+  const failed = [];
+  for (const item of plan.items) {
+    try {
+      if (plan.target === 'containers') {
+        await docker.getContainer(item.id).remove();
+      } else if (plan.target === 'images') {
+        await docker.getImage(item.id).remove(item.force ? { force: true } : {});
+      } else {
+        await docker.getVolume(item.id).remove();
+      }
+      removed += 1;
+      reclaimedBytes += item.sizeBytes;
+    } catch (error) {
+      // Already gone counts as done; anything else (now in use, dependent
+      // child images) is reported and left alone.
+      if (error?.statusCode === 404) continue;
+      failed.push({
+        label: item.label,
+        message: error?.json?.message ?? error?.message ?? String(error),
+      });
+    }
+  }
+  return { removed, failed, reclaimedBytes };
+}
+
+export function formatPrunePlan(plan) {
+  const scope = describeScope(plan);
+  if (!plan.items.length) {
+    return `Nothing to prune: no ${scope}.`;
+  }
+  const shown = plan.items
+    .slice(0, MAX_PLAN_ITEMS_SHOWN)
+    .map((item) => `• \`${item.label}\` — ${formatBytes(item.sizeBytes)}`);
+  if (plan.items.length > MAX_PLAN_ITEMS_SHOWN) {
+    shown.push(`…and ${plan.items.length - MAX_PLAN_ITEMS_SHOWN} more`);
+  }
+  const lines = [
+    `🧹 **Dry run:** ${plan.items.length} ${scope} would be removed, reclaiming about ${formatBytes(plan.reclaimableBytes)}.`,
+    ...shown,
+  ];
+  if (plan.target === 'builder') {
+    lines.push(
+      '⚠️ Build cache is pruned by Docker itself, which decides what is unused; the list above is an estimate and the actual entries and space may differ.'
+    );
+  }
+  return lines.join('\n');
+}
+
+export function formatPruneResult(plan, result) {
+  const lines = [
+    `🧹 Pruned ${result.removed} ${describeScope(plan)}, reclaiming about ${formatBytes(result.reclaimedBytes)}.`,
+  ];
+  for (const failure of result.failed.slice(0, MAX_PLAN_ITEMS_SHOWN)) {
+    lines.push(`⚠️ \`${failure.label}\` — ${failure.message}`);
+  }
+  if (result.failed.length > MAX_PLAN_ITEMS_SHOWN) {
+    lines.push(`…and ${result.failed.length - MAX_PLAN_ITEMS_SHOWN} more failures`);
+  }
+  return lines.join('\n');
+}
+
+function describeScope(plan) {
+  const scopes = {
+    containers: 'stopped containers',
+    images: plan.all ? 'unused images' : 'dangling images',
+    volumes: plan.all ? 'unused volumes' : 'unused anonymous volumes',
+    builder: plan.all ? 'unused build cache entries' : 'unused unshared build cache entries',
+  };
+  return scopes[plan.target] ?? plan.target;
+}
+
+function isDanglingImage(image) {
+  return !image.RepoTags?.length || image.RepoTags.every((tag) => tag === '<none>:<none>');
+}
+
+// Anonymous volumes carry this label on current engines and a 64-character
+// hex name on all of them.
+function isAnonymousVolume(volume) {
+  return (
+    volume.Labels?.['com.docker.volume.anonymous'] !== undefined || /^[0-9a-f]{64}$/.test(volume.Name)
+  );
+}
+
+// Layers shared with other images are not freed by removing this one.
+function uniqueImageSize(image) {
+  return Math.max((image.Size ?? 0) - Math.max(image.SharedSize ?? 0, 0), 0);
+}
@@ -0,0 +1,31 @@
+// Human-friendly durations like "90s", "10m", "2h30m" or "7d", used by
+// config files and command options alike.
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  const text = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) {
+    // Bare numbers are minutes, the most common unit in practice.
+    return Number(text) * UNIT_MS.m;
+  }
+  if (!/^(\d+(\.\d+)?\s*[smhdw]\s*)+$/.test(text)) return null;
+
+  let total = 0;
+  for (const match of text.matchAll(/(\d+(?:\.\d+)?)\s*([smhdw])/g)) {
+    total += Number(match[1]) * UNIT_MS[match[2]];
+  }
+  return total;
+}
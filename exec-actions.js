@@ -0,0 +1,179 @@
+import fs from 'node:fs';
+import { createLogLineDecoder } from './container-logs.js';
+import { parseDuration } from './duration.js';
+import { patternToRegExp } from './permissions.js';
+
+// Named commands /exec may run inside containers. Only actions from
+// exec-actions.json in BOT_STATE_DIR can run, each limited to the containers
+// matching its patterns; commands are argument arrays handed straight to
+// Docker, never a shell string. The file is re-read on every use.
+//
+// {
+//   "actions": [
+//     { "name": "nginx-reload", "description": "Reload the nginx config",
+//       "containers": ["nginx", "proxy-*"], "command": ["nginx", "-s", "reload"], "timeout": "30s" },
+//     { "name": "files-scan", "containers": ["nextcloud"], "user": "www-data",
+//       "command": ["php", "occ", "files:scan", "--all"], "timeout": "15m", "output": "stderr",
+//       "confirm": true }
+//   ]
+// }
+
+const ACTION_NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,31}$/i;
+const OUTPUT_MODES = ['both', 'stdout', 'stderr', 'none'];
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const MAX_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_CAPTURE_BYTES = 1024 * 1024;
+
+export function createExecCatalog({ configPath }) {
+  function loadActions() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Invalid exec actions at ${configPath}.`, error);
+      }
+      return [];
+    }
+
+    const actions = [];
+    for (const action of raw?.actions ?? []) {
+      const problem = validateAction(action);
+      if (problem) {
+        console.error(`Skipping exec action ${action?.name ?? JSON.stringify(action)}: ${problem}`);
+        continue;
+      }
+      actions.push({
+        ...action,
+        containerPatterns: action.containers.map(patternToRegExp),
+        timeoutMs: Math.min(parseDuration(action.timeout) || DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS),
+        output: action.output || 'both',
+      });
+    }
+    return actions;
+  }
+
+  return {
+    // Actions allowed on the container, or every action when it is omitted.
+    list(containerName) {
+      return loadActions().filter(
+        (action) =>
+          !containerName || action.containerPatterns.some((pattern) => pattern.test(containerName))
+      );
+    },
+    get(actionName, containerName) {
+      const action = loadActions().find((entry) => entry.name === actionName);
+      if (!action) {
+        return { action: null, message: `Exec action '${actionName}' is not in the catalog.` };
+      }
+      if (!action.containerPatterns.some((pattern) => pattern.test(containerName))) {
+        return {
+          action: null,
+          message: `Exec action '${actionName}' is not allowed on ${containerName}.`,
+        };
+      }
+      return { action, message: null };
+    },
+  };
+}
+
+export function validateAction(action) {
+  if (!ACTION_NAME_PATTERN.test(action?.name ?? '')) {
+    return 'Action names use letters, numbers, ., - and _ (up to 32 characters).';
+  }
+  if (
+    !Array.isArray(action.command) ||
+    !action.command.length ||
+    !action.command.every((part) => typeof part === 'string')
+  ) {
+    return 'command must be a non-empty array of strings.';
+  }
+  if (!Array.isArray(action.containers) || !action.containers.length) {
+    return 'containers must list at least one container name or pattern.';
+  }
+  if (action.output && !OUTPUT_MODES.includes(action.output)) {
+    return `output must be one of ${OUTPUT_MODES.join(', ')}.`;
+  }
+  if (action.timeout !== undefined && !parseDuration(action.timeout)) {
+    return `Invalid timeout '${action.timeout}'.`;
+  }
+  return null;
+}
+
+// Runs an action and resolves { exitCode, timedOut, lines, droppedLines,
+// durationMs }. Lines carry the stream they came from. Docker cannot kill an
+// exec, so on timeout the command keeps running in the container; only the
+// bot stops waiting for it.
+export async function runExecAction(docker, containerName, action) {
+  const exec = await docker.getContainer(containerName).exec({
+    Cmd: action.command,
+    AttachStdout: action.output === 'both' || action.output === 'stdout',
+    AttachStderr: action.output === 'both' || action.output === 'stderr',
+    Tty: false,
+    ...(action.user ? { User: action.user } : {}),
+    ...(action.workdir ? { WorkingDir: action.workdir } : {}),
+    ...(action.env ? { Env: Object.entries(action.env).map(([key, value]) => `${key}=${value}`) } : {}),
+  });
+
+  const startedAt = Date.now();
+  const stream = await exec.start({ hijack: true, stdin: false });
+  const decoder = createLogLineDecoder({ tty: false });
+  const lines = [];
+  let capturedBytes = 0;
+  let droppedLines = 0;
+
+  function capture(entries) {
+    for (const entry of entries) {
+      lines.push(entry);
+      capturedBytes += entry.line.length + 1;
+    }
+    // Keep the end of long output; that is usually where the result is.
+    while (capturedBytes > MAX_CAPTURE_BYTES && lines.length > 1) {
+      capturedBytes -= lines.shift().line.length + 1;
+      droppedLines += 1;
+    }
+  }
+
+  const timedOut = await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      stream.destroy?.();
+      resolve(true);
+    }, action.timeoutMs);
+    stream.on('data', (chunk) => capture(decoder.push(chunk)));
+    stream.on('end', () => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+    stream.on('error', (error) => {
+      console.error(`Exec stream for ${action.name} on ${containerName} failed.`, error);
+      clearTimeout(timer);
+      resolve(false);
+    });
+  });
+  capture(decoder.end());
+
+  const details = timedOut ? null : await exec.inspect();
+  return {
+    exitCode: details?.ExitCode ?? null,
+    timedOut,
+    lines,
+    droppedLines,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+export function formatExecOutput(result) {
+  const dropped = result.droppedLines ? `[${result.droppedLines} earlier lines omitted]\n` : '';
+  return `${dropped}${result.lines
+    .map(({ stream, line }) => (stream === 'stderr' ? `! ${line}` : line))
+    .join('\n')}`.trimEnd();
+}
+
+export function formatExecSummary(action, containerName, result) {
+  const seconds = (result.durationMs / 1000).toFixed(1);
+  if (result.timedOut) {
+    return `⏱️ **${action.name}** on **${containerName}** timed out after ${seconds}s (it may still be running)`;
+  }
+  const icon = result.exitCode === 0 ? '✅' : '❌';
+  return `${icon} **${action.name}** on **${containerName}** exited with ${result.exitCode} in ${seconds}s`;
+}
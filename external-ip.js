@@ -0,0 +1,199 @@
+import fs from 'node:fs';
+import net from 'node:net';
+
+// Public IP tracking. Every provider of a family is asked at once; the answer
+// most of them agree on wins, so one provider returning something odd (a
+// proxy address, an error page) is outvoted instead of raising a false
+// change alert. Current addresses and the full change history live in
+// external-ip.json in BOT_STATE_DIR.
+
+export const DEFAULT_PROVIDERS = {
+  v4: ['https://api.ipify.org', 'https://ipv4.icanhazip.com', 'https://v4.ident.me'],
+  v6: ['https://api6.ipify.org', 'https://ipv6.icanhazip.com', 'https://v6.ident.me'],
+};
+
+const FAMILY_LABELS = { v4: 'IPv4', v6: 'IPv6' };
+
+export function createExternalIpTracker({
+  statePath,
+  legacyPath,
+  providers = DEFAULT_PROVIDERS,
+  timeoutMs = 5000,
+  onChange,
+  fetchImpl = fetch,
+}) {
+  let state = null;
+  // Set when external-ip.json exists but cannot be read; saving would
+  // overwrite the history in it.
+  let unreadable = false;
+  let checking = null;
+  const families = Object.keys(providers).filter((family) => providers[family]?.length);
+
+  async function loadState() {
+    if (state) return state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+    } catch (error) {
+      state = { current: {}, history: [] };
+      if (error?.code !== 'ENOENT') {
+        unreadable = true;
+        console.error(`Failed to read external IP history at ${statePath}; not saving over it.`, error);
+        return state;
+      }
+      // Carry over the address remembered by older versions.
+      const legacyAddress = legacyPath ? await readLegacyAddress(legacyPath) : null;
+      if (legacyAddress) {
+        state.current.v4 = { address: legacyAddress, since: null, checkedAt: null };
+      }
+    }
+    return state;
+  }
+
+  async function saveState() {
+    if (unreadable) {
+      console.error(`Not saving external IP history: ${statePath} could not be read.`);
+      return;
+    }
+    try {
+      await fs.promises.writeFile(statePath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write external IP history.', error);
+    }
+  }
+
+  async function lookup(family) {
+    const answers = await Promise.all(
+      providers[family].map((url) => queryProvider(url, family, { timeoutMs, fetchImpl }))
+    );
+    return pickAgreedAddress(answers, state.current[family]?.address ?? null);
+  }
+
+  async function runCheck() {
+    await loadState();
+    const now = new Date().toISOString();
+    const changes = [];
+    for (const family of families) {
+      const address = await lookup(family);
+      if (!address) continue;
+      const previous = state.current[family] ?? null;
+      if (previous?.address === address) {
+        previous.checkedAt = now;
+        continue;
+      }
+      state.current[family] = { address, since: now, checkedAt: now };
+      state.history.push({ at: now, family, previous: previous?.address ?? null, address });
+      if (previous?.address) {
+        changes.push({ family, previous: previous.address, address });
+      }
+    }
+    await saveState();
+
+    for (const change of changes) {
+      try {
+        await onChange?.(change);
+      } catch (error) {
+        console.error('Failed to report external IP change.', error);
+      }
+    }
+    return current();
+  }
+
+  function current() {
+    return Object.fromEntries(
+      families.map((family) => [family, state.current[family]?.address ?? null])
+    );
+  }
+
+  return {
+    // Overlapping checks (cron, /status, reports) share one round of lookups.
+    async check() {
+      if (!checking) {
+        checking = runCheck().finally(() => {
+          checking = null;
+        });
+      }
+      return checking;
+    },
+    async current() {
+      await loadState();
+      return current();
+    },
+    async details() {
+      await loadState();
+      return families.map((family) => ({ family, ...(state.current[family] ?? { address: null }) }));
+    },
+    async history(limit = 10) {
+      await loadState();
+      return state.history.slice(-limit).reverse();
+    },
+  };
+}
+
+// Returns the address a strict majority of the answering providers agree
+// on. When they split evenly the address already on record wins, if it is
+// one of them; otherwise the result is inconclusive (null).
+export function pickAgreedAddress(answers, knownAddress = null) {
+  const counts = new Map();
+  for (const answer of answers) {
+    if (answer) counts.set(answer, (counts.get(answer) ?? 0) + 1);
+  }
+  const responded = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  if (!responded) return null;
+
+  const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  const [topAddress, topCount] = ranked[0];
+  if (topCount * 2 > responded) return topAddress;
+  const tied = ranked.filter(([, count]) => count === topCount).map(([address]) => address);
+  if (knownAddress && tied.includes(knownAddress)) return knownAddress;
+  console.error(`External IP providers disagree: ${ranked.map(([address]) => address).join(', ')}.`);
+  return null;
+}
+
+export function formatIpHistory(entries) {
+  if (!entries.length) {
+    return 'No external IP changes recorded yet.';
+  }
+  return entries
+    .map((entry) => {
+      const timestamp = Math.floor(new Date(entry.at).getTime() / 1000);
+      const label = familyLabel(entry.family);
+      if (!entry.previous) {
+        return `<t:${timestamp}:f> ${label} first seen as \`${entry.address}\``;
+      }
+      return `<t:${timestamp}:f> ${label} \`${entry.previous}\` → \`${entry.address}\``;
+    })
+    .join('\n');
+}
+
+export function familyLabel(family) {
+  return FAMILY_LABELS[family] ?? family;
+}
+
+async function queryProvider(url, family, { timeoutMs, fetchImpl }) {
+  try {
+    const response = await fetchImpl(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`Unexpected response ${response.status}`);
+    }
+    const address = (await response.text()).trim();
+    if (net.isIP(address) !== (family === 'v6' ? 6 : 4)) {
+      throw new Error(`Not an ${FAMILY_LABELS[family]} address: ${address.slice(0, 64)}`);
+    }
+    return address;
+  } catch (error) {
+    console.error(`Failed to fetch external ${FAMILY_LABELS[family]} from ${url}.`, error);
+    return null;
+  }
+}
+
+async function readLegacyAddress(filePath) {
+  try {
+    const saved = (await fs.promises.readFile(filePath, 'utf8')).trim();
+    return net.isIPv4(saved) ? saved : null;
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      console.error('Failed to read last external IP.', error);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { createExternalIpTracker } from './external-ip.js';
+
+test('an unreadable history file is kept and no change is reported against it', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'external-ip-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const statePath = path.join(dir, 'external-ip.json');
+  const legacyPath = path.join(dir, 'last_external_ip.txt');
+  fs.writeFileSync(statePath, '{ "current": { "v4": ');
+  fs.writeFileSync(legacyPath, '198.51.100.7\n');
+  const changes = [];
+  const tracker = createExternalIpTracker({
+    statePath,
+    legacyPath,
+    providers: { v4: ['https://ip.example'] },
+    fetchImpl: async () => new Response('203.0.113.9\n'),
+    onChange: async (change) => changes.push(change),
+  });
+
+  assert.deepEqual(await tracker.check(), { v4: '203.0.113.9' });
+  assert.deepEqual(changes, []);
+  assert.equal(fs.readFileSync(statePath, 'utf8'), '{ "current": { "v4": ');
+});
@@ -0,0 +1,270 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Host resource metrics read straight from procfs/sysfs. When the bot runs in
+// a container, mount the host's /proc and /sys somewhere and point procPath
+// and sysPath at them; disks are "label=path" pairs so a host filesystem
+// mounted at e.g. /hostfs can still be reported as "/".
+
+const CPU_SAMPLE_MS = 500;
+
+export async function collectHostMetrics({
+  procPath = '/proc',
+  sysPath = '/sys',
+  disks = parseDiskList('/'),
+} = {}) {
+  const [load, cpu, memory, diskUsage, temperatures] = await Promise.all([
+    readLoadAverage(procPath).catch(logAndIgnore('load average')),
+    readCpuUsage(procPath).catch(logAndIgnore('CPU usage')),
+    readMemory(procPath).catch(logAndIgnore('memory usage')),
+    readDiskUsage(disks),
+    readTemperatures(sysPath),
+  ]);
+  return { load, cpu, memory, disks: diskUsage, temperatures };
+}
+
+export function parseDiskList(value) {
+  const entries = (value || '/')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return entries.map((entry) => {
+    const separator = entry.indexOf('=');
+    if (separator === -1) return { label: entry, path: entry };
+    return { label: entry.slice(0, separator), path: entry.slice(separator + 1) };
+  });
+}
+
+export function formatHostSummaryLine(metrics) {
+  const parts = [];
+  if (metrics.cpu) parts.push(`CPU ${metrics.cpu.usagePercent.toFixed(0)}%`);
+  if (metrics.load) parts.push(`load ${metrics.load.one.toFixed(2)}`);
+  if (metrics.memory) parts.push(`mem ${metrics.memory.usedPercent.toFixed(0)}%`);
+  for (const disk of metrics.disks) {
+    parts.push(`${disk.label} ${disk.usedPercent.toFixed(0)}%`);
+  }
+  const hottest = hottestTemperature(metrics.temperatures);
+  if (hottest) parts.push(`${hottest.celsius.toFixed(0)}°C`);
+  return parts.length ? parts.join(' · ') : 'unavailable';
+}
+
+export function formatHostMetrics(metrics) {
+  const lines = ['🖥️ **Host Resources**'];
+
+  if (metrics.cpu) {
+    lines.push(`**CPU:** ${metrics.cpu.usagePercent.toFixed(1)}% (${metrics.cpu.cores} cores)`);
+  }
+  if (metrics.load) {
+    lines.push(
+      `**Load:** ${metrics.load.one.toFixed(2)} / ${metrics.load.five.toFixed(2)} / ${metrics.load.fifteen.toFixed(2)}`
+    );
+  }
+  if (metrics.memory) {
+    const { memory } = metrics;
+    lines.push(
+      `**Memory:** ${formatBytes(memory.usedBytes)} / ${formatBytes(memory.totalBytes)} (${memory.usedPercent.toFixed(1)}%)`
+    );
+    if (memory.swapTotalBytes > 0) {
+      lines.push(
+        `**Swap:** ${formatBytes(memory.swapUsedBytes)} / ${formatBytes(memory.swapTotalBytes)}`
+      );
+    }
+  }
+
+  if (metrics.disks.length) {
+    lines.push('', '**Disks**');
+    for (const disk of metrics.disks) {
+      const warning = disk.usedPercent >= 90 ? ' ⚠️' : '';
+      lines.push(
+        `${disk.label} — ${formatBytes(disk.usedBytes)} / ${formatBytes(disk.totalBytes)} (${disk.usedPercent.toFixed(1)}%)${warning}`
+      );
+    }
+  }
+
+  if (metrics.temperatures.length) {
+    lines.push('', '**Temperatures**');
+    for (const sensor of metrics.temperatures) {
+      lines.push(`${sensor.label} — ${sensor.celsius.toFixed(1)}°C`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return 'unknown';
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+  let value = bytes;
+  let unitIndex = 0;
+  while (Math.abs(value) >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex += 1;
+  }
+  return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
+async function readLoadAverage(procPath) {
+  const contents = await fs.promises.readFile(path.join(procPath, 'loadavg'), 'utf8');
+  const [one, five, fifteen] = contents.trim().split(/\s+/).map(Number);
+  return { one, five, fifteen };
+}
+
+async function readCpuUsage(procPath) {
+  const first = await readCpuTimes(procPath);
+  await new Promise((resolve) => {
+    setTimeout(resolve, CPU_SAMPLE_MS);
+  });
+  const second = await readCpuTimes(procPath);
+
+  const totalDelta = second.total - first.total;
+  const idleDelta = second.idle - first.idle;
+  const usagePercent = totalDelta > 0 ? ((totalDelta - idleDelta) / totalDelta) * 100 : 0;
+  return { usagePercent, cores: second.cores };
+}
+
+async function readCpuTimes(procPath) {
+  const contents = await fs.promises.readFile(path.join(procPath, 'stat'), 'utf8');
+  const lines = contents.split('\n');
+  const aggregate = lines.find((line) => line.startsWith('cpu '));
+  if (!aggregate) {
+    throw new Error('No aggregate cpu line in stat');
+  }
+  const values = aggregate.trim().split(/\s+/).slice(1).map(Number);
+  // user nice system idle iowait irq softirq steal; guest time is already in user.
+  const [user, nice, system, idle, iowait = 0, irq = 0, softirq = 0, steal = 0] = values;
+  return {
+    total: user + nice + system + idle + iowait + irq + softirq + steal,
+    idle: idle + iowait,
+    cores: lines.filter((line) => /^cpu\d+\s/.test(line)).length,
+  };
+}
+
+async function readMemory(procPath) {
+  const contents = await fs.promises.readFile(path.join(procPath, 'meminfo'), 'utf8');
+  const values = {};
+  for (const line of contents.split('\n')) {
+    const match = line.match(/^(\w+):\s+(\d+)/);
+    if (match) values[match[1]] = Number(match[2]) * 1024;
+  }
+
+  const totalBytes = values.MemTotal ?? 0;
+  const availableBytes = values.MemAvailable ?? (values.MemFree ?? 0) + (values.Cached ?? 0);
+  const usedBytes = totalBytes - availableBytes;
+  const swapTotalBytes = values.SwapTotal ?? 0;
+  return {
+    totalBytes,
+    usedBytes,
+    usedPercent: totalBytes > 0 ? (usedBytes / totalBytes) * 100 : 0,
+    swapTotalBytes,
+    swapUsedBytes: swapTotalBytes - (values.SwapFree ?? 0),
+  };
+}
+
+async function readDiskUsage(disks) {
+  const results = await Promise.all(
+    disks.map(async (disk) => {
+      try {
+        const stats = await fs.promises.statfs(disk.path);
+        const totalBytes = stats.blocks * stats.bsize;
+        const availableBytes = stats.bavail * stats.bsize;
+        const usedBytes = totalBytes - stats.bfree * stats.bsize;
+        // Match df: reserved blocks count as neither used nor available.
+        const usableBytes = usedBytes + availableBytes;
+        return {
+          label: disk.label,
+          totalBytes,
+          usedBytes,
+          availableBytes,
+          usedPercent: usableBytes > 0 ? (usedBytes / usableBytes) * 100 : 0,
+        };
+      } catch (error) {
+        console.error(`Failed to read disk usage for ${disk.path}.`, error);
+        return null;
+      }
+    })
+  );
+  return results.filter(Boolean);
+}
+
+async function readTemperatures(sysPath) {
+  const [thermalZones, hwmonSensors] = await Promise.all([
+    readThermalZones(path.join(sysPath, 'class', 'thermal')),
+    readHwmonSensors(path.join(sysPath, 'class', 'hwmon')),
+  ]);
+  // hwmon labels are more descriptive; thermal zones cover boards without hwmon.
+  return hwmonSensors.length ? hwmonSensors : thermalZones;
+}
+
+async function readThermalZones(thermalPath) {
+  const entries = await readDirectory(thermalPath);
+  const zones = await Promise.all(
+    entries
+      .filter((entry) => entry.startsWith('thermal_zone'))
+      .map(async (entry) => {
+        const zonePath = path.join(thermalPath, entry);
+        const celsius = await readMillidegrees(path.join(zonePath, 'temp'));
+        if (celsius === null) return null;
+        const label = (await readTrimmed(path.join(zonePath, 'type'))) || entry;
+        return { label, celsius };
+      })
+  );
+  return zones.filter(Boolean);
+}
+
+async function readHwmonSensors(hwmonPath) {
+  const devices = await readDirectory(hwmonPath);
+  const sensors = await Promise.all(
+    devices.map(async (device) => {
+      const devicePath = path.join(hwmonPath, device);
+      const deviceName = (await readTrimmed(path.join(devicePath, 'name'))) || device;
+      const inputs = (await readDirectory(devicePath)).filter((file) => /^temp\d+_input$/.test(file));
+      return Promise.all(
+        inputs.map(async (input) => {
+          const celsius = await readMillidegrees(path.join(devicePath, input));
+          if (celsius === null) return null;
+          const label = await readTrimmed(path.join(devicePath, input.replace('_input', '_label')));
+          return { label: label ? `${deviceName} ${label}` : deviceName, celsius };
+        })
+      );
+    })
+  );
+  return sensors.flat().filter(Boolean);
+}
+
+function hottestTemperature(temperatures) {
+  return temperatures.reduce(
+    (hottest, sensor) => (!hottest || sensor.celsius > hottest.celsius ? sensor : hottest),
+    null
+  );
+}
+
+async function readDirectory(directory) {
+  try {
+    return (await fs.promises.readdir(directory)).sort();
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      console.error(`Failed to read ${directory}.`, error);
+    }
+    return [];
+  }
+}
+
+async function readTrimmed(filePath) {
+  try {
+    return (await fs.promises.readFile(filePath, 'utf8')).trim();
+  } catch {
+    return null;
+  }
+}
+
+async function readMillidegrees(filePath) {
+  const value = Number.parseInt(await readTrimmed(filePath), 10);
+  return Number.isFinite(value) ? value / 1000 : null;
+}
+
+function logAndIgnore(label) {
+  return (error) => {
+    console.error(`Failed to read ${label}.`, error);
+    return null;
+  };
+}
@@ -0,0 +1,42 @@
+import http from 'node:http';
+
+// Optional HTTP endpoint for container healthchecks and Prometheus:
+// GET /healthz answers 200 with a JSON summary while the bot is healthy and
+// 503 when it is not; GET /metrics returns the metrics in text format.
+
+export function startHttpServer({ port, host = '0.0.0.0', checkHealth, renderMetrics }) {
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      sendText(response, 405, 'Method not allowed\n');
+      return;
+    }
+    try {
+      if (pathname === '/healthz') {
+        const health = await checkHealth();
+        response.writeHead(health.healthy ? 200 : 503, { 'content-type': 'application/json' });
+        response.end(`${JSON.stringify(health, null, 2)}\n`);
+      } else if (pathname === '/metrics') {
+        sendText(response, 200, await renderMetrics(), 'text/plain; version=0.0.4; charset=utf-8');
+      } else {
+        sendText(response, 404, 'Not found\n');
+      }
+    } catch (error) {
+      console.error(`Failed to serve ${pathname}.`, error);
+      sendText(response, 500, 'Internal error\n');
+    }
+  });
+
+  server.on('error', (error) => {
+    console.error(`HTTP server on port ${port} failed.`, error);
+  });
+  server.listen(port, host, () => {
+    console.log(`Serving /healthz and /metrics on ${host}:${port}.`);
+  });
+  return server;
+}
+
+function sendText(response, status, text, contentType = 'text/plain; charset=utf-8') {
+  response.writeHead(status, { 'content-type': contentType });
+  response.end(text);
+}
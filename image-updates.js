@@ -0,0 +1,294 @@
+import fs from 'node:fs';
+import { describeRollback, getImageId, pullImage, recreateContainer } from './container-recreate.js';
+
+// Compares the digest each running container's image was pulled at with the
+// digest its tag currently points to in the registry. Registries are spoken
+// to directly over the v2 HTTP API (anonymous bearer tokens only), and any
+// registry host can be redirected to another base URL, e.g. a local stand-in:
+//   { 'docker.io': 'http://127.0.0.1:5000' }
+
+const DOCKER_HUB_HOST = 'docker.io';
+const DOCKER_HUB_API = 'https://registry-1.docker.io';
+const REGISTRY_TIMEOUT_MS = 10 * 1000;
+const HEALTH_POLL_INTERVAL_MS = 2000;
+const NO_HEALTHCHECK_GRACE_MS = 10 * 1000;
+const MANIFEST_ACCEPT = [
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.docker.distribution.manifest.v2+json',
+  'application/vnd.oci.image.manifest.v1+json',
+].join(', ');
+
+export function createImageUpdateChecker({
+  docker,
+  filePath,
+  fetchImpl = fetch,
+  registryOverrides = {},
+  healthcheckTimeoutMs = 120 * 1000,
+}) {
+  async function fetchRemoteDigest(reference) {
+    const baseUrl = registryOverrides[reference.registry] ?? registryBaseUrl(reference.registry);
+    const manifestUrl = `${baseUrl}/v2/${reference.repository}/manifests/${reference.tag}`;
+    const headers = { Accept: MANIFEST_ACCEPT };
+
+    let response = await requestManifest(manifestUrl, headers);
+    if (response.status === 401) {
+      const bearerToken = await fetchBearerToken(response.headers.get('www-authenticate'));
+      if (bearerToken) {
+        headers.Authorization = `Bearer ${bearerToken}`;
+        response = await requestManifest(manifestUrl, headers);
+      }
+    }
+    if (!response.ok) {
+      throw new Error(`Registry responded ${response.status} for ${reference.original}`);
+    }
+
+    const digest = response.headers.get('docker-content-digest');
+    if (!digest) {
+      throw new Error(`Registry did not return a digest for ${reference.original}`);
+    }
+    return digest;
+  }
+
+  async function requestManifest(url, headers) {
+    const response = await fetchImpl(url, {
+      method: 'HEAD',
+      headers,
+      signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS),
+    });
+    if (response.ok && !response.headers.get('docker-content-digest')) {
+      // Some registries only send the digest header on GET.
+      return fetchImpl(url, { headers, signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS) });
+    }
+    return response;
+  }
+
+  async function fetchBearerToken(challenge) {
+    const parameters = parseBearerChallenge(challenge);
+    if (!parameters?.realm) return null;
+    const tokenUrl = new URL(parameters.realm);
+    if (parameters.service) tokenUrl.searchParams.set('service', parameters.service);
+    if (parameters.scope) tokenUrl.searchParams.set('scope', parameters.scope);
+
+    const response = await fetchImpl(tokenUrl, { signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Token endpoint responded ${response.status}`);
+    }
+    const body = await response.json();
+    return body.token || body.access_token || null;
+  }
+
+  async function checkContainer(summary, remoteDigests) {
+    const name = (summary.Names?.[0] || summary.Id).replace(/^\//, '');
+    const details = await docker.getContainer(summary.Id).inspect();
+    const imageRef = details.Config?.Image || summary.Image;
+    const result = { container: name, image: imageRef, updateAvailable: false };
+
+    const reference = parseImageReference(imageRef);
+    if (!reference) {
+      return { ...result, skipped: 'pinned to a digest or untagged' };
+    }
+
+    const image = await docker.getImage(details.Image).inspect();
+    const localDigests = (image.RepoDigests ?? []).map((entry) => entry.split('@')[1]).filter(Boolean);
+    if (!localDigests.length) {
+      return { ...result, skipped: 'built locally' };
+    }
+
+    try {
+      if (!remoteDigests.has(reference.original)) {
+        remoteDigests.set(reference.original, fetchRemoteDigest(reference));
+      }
+      const remoteDigest = await remoteDigests.get(reference.original);
+      return {
+        ...result,
+        localDigest: localDigests[0],
+        remoteDigest,
+        updateAvailable: !localDigests.includes(remoteDigest),
+      };
+    } catch (error) {
+      console.error(`Failed to check registry digest for ${imageRef}.`, error);
+      return { ...result, error: error.message };
+    }
+  }
+
+  async function readResults() {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error('Failed to read image update results.', error);
+      }
+      return { checkedAt: null, results: [] };
+    }
+  }
+
+  async function writeResults(state) {
+    try {
+      await fs.promises.writeFile(filePath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write image update results.', error);
+    }
+  }
+
+  async function waitForHealthy(container) {
+    const deadline = Date.now() + healthcheckTimeoutMs;
+    const initial = await container.inspect();
+    if (!initial.Config?.Healthcheck || initial.Config.Healthcheck.Test?.[0] === 'NONE') {
+      // Without a healthcheck, staying up for a short grace period is the best signal we get.
+      await delay(NO_HEALTHCHECK_GRACE_MS);
+      const details = await container.inspect();
+      if (!details.State?.Running) {
+        throw new Error(`exited with code ${details.State?.ExitCode}`);
+      }
+      return;
+    }
+
+    while (Date.now() < deadline) {
+      const details = await container.inspect();
+      const status = details.State?.Health?.Status;
+      if (!details.State?.Running) {
+        throw new Error(`exited with code ${details.State?.ExitCode}`);
+      }
+      if (status === 'healthy') return;
+      if (status === 'unhealthy') {
+        throw new Error('healthcheck reported unhealthy');
+      }
+      await delay(HEALTH_POLL_INTERVAL_MS);
+    }
+    throw new Error('healthcheck did not pass in time');
+  }
+
+  return {
+    readResults,
+    async checkAll() {
+      const summaries = await docker.listContainers({ filters: { status: ['running'] } });
+      const remoteDigests = new Map();
+      const results = [];
+      for (const summary of summaries) {
+        try {
+          results.push(await checkContainer(summary, remoteDigests));
+        } catch (error) {
+          console.error(`Failed to check image updates for ${summary.Id}.`, error);
+        }
+      }
+      const state = {
+        checkedAt: new Date().toISOString(),
+        results: results.sort((a, b) => a.container.localeCompare(b.container)),
+      };
+      await writeResults(state);
+      return state;
+    },
+    async updateContainer(containerName) {
+      const container = docker.getContainer(containerName);
+      let details;
+      try {
+        details = await container.inspect();
+      } catch (error) {
+        if (error?.statusCode === 404) {
+          return { ok: false, message: `Container '${containerName}' not found.` };
+        }
+        throw error;
+      }
+
+      const imageRef = details.Config?.Image;
+      if (!parseImageReference(imageRef)) {
+        return { ok: false, message: `${containerName} uses an untagged or digest-pinned image.` };
+      }
+
+      let latestImageId;
+      try {
+        await pullImage(docker, imageRef);
+        latestImageId = await getImageId(docker, imageRef);
+      } catch (error) {
+        console.error(`Failed to pull ${imageRef}.`, error);
+        return { ok: false, message: `Unable to pull ${imageRef} right now.` };
+      }
+      if (!latestImageId || latestImageId === details.Image) {
+        await markUpdated(containerName);
+        return { ok: true, changed: false, message: `${containerName} is already up to date.` };
+      }
+
+      try {
+        await recreateContainer(docker, details.Id, {
+          image: imageRef,
+          verify: details.State?.Running ? waitForHealthy : undefined,
+        });
+      } catch (error) {
+        console.error(`Failed to update container ${containerName}.`, error);
+        return {
+          ok: false,
+          rolledBack: Boolean(error?.rollback?.restored),
+          message: `Update of ${containerName} failed (${error.message}); ${describeRollback(error)}.`,
+        };
+      }
+
+      await markUpdated(containerName);
+      return { ok: true, changed: true, message: `Updated ${containerName} to the latest ${imageRef}.` };
+    },
+  };
+
+  async function markUpdated(containerName) {
+    const state = await readResults();
+    const entry = state.results.find((result) => result.container === containerName);
+    if (!entry) return;
+    entry.updateAvailable = false;
+    entry.localDigest = entry.remoteDigest ?? entry.localDigest;
+    await writeResults(state);
+  }
+}
+
+export function formatUpdateDigest(state) {
+  const available = (state?.results ?? []).filter((result) => result.updateAvailable);
+  if (!available.length) return null;
+  const lines = available.map((result) => `${result.container} — \`${result.image}\``);
+  return `⬆️ **Updates available** (${available.length})\n${lines.join('\n')}`;
+}
+
+export function parseImageReference(imageRef) {
+  if (!imageRef || imageRef.includes('@') || imageRef.startsWith('sha256:')) {
+    return null;
+  }
+
+  const parts = imageRef.split('/');
+  let registry = DOCKER_HUB_HOST;
+  if (
+    parts.length > 1 &&
+    (parts[0].includes('.') || parts[0].includes(':') || parts[0] === 'localhost')
+  ) {
+    registry = parts.shift();
+  }
+
+  const lastPart = parts.pop();
+  const tagSeparator = lastPart.lastIndexOf(':');
+  const repositoryName = tagSeparator === -1 ? lastPart : lastPart.slice(0, tagSeparator);
+  const tag = tagSeparator === -1 ? 'latest' : lastPart.slice(tagSeparator + 1);
+  parts.push(repositoryName);
+  if (registry === DOCKER_HUB_HOST && parts.length === 1) {
+    parts.unshift('library');
+  }
+
+  return { original: imageRef, registry, repository: parts.join('/'), tag };
+}
+
+function registryBaseUrl(registry) {
+  if (registry === DOCKER_HUB_HOST) return DOCKER_HUB_API;
+  // Docker itself talks plain HTTP to registries on the local machine.
+  if (/^(localhost|127\.0\.0\.1)(:\d+)?$/.test(registry)) return `http://${registry}`;
+  return `https://${registry}`;
+}
+
+function parseBearerChallenge(challenge) {
+  if (!challenge || !/^bearer\s/i.test(challenge)) return null;
+  const parameters = {};
+  for (const match of challenge.slice(7).matchAll(/(\w+)="([^"]*)"/g)) {
+    parameters[match[1]] = match[2];
+  }
+  return parameters;
+}
+
+function delay(milliseconds) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, milliseconds);
+  });
+}
@@ -1,10 +1,52 @@
-import { Client, Events, GatewayIntentBits } from 'discord.js';
-import Docker from 'dockerode';
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  Client,
+  ComponentType,
+  Events,
+  GatewayIntentBits,
+} from 'discord.js';
 import cron from 'node-cron';
 import fs from 'node:fs';
-import os from 'node:os';
 import path from 'node:path';
+import { createAlertEngine, formatAlertList } from './alert-rules.js';
+import { createAuditLog } from './audit-log.js';
+import { createBackupManager } from './backups.js';
+import { createCommandRegistry } from './command-registry.js';
+import { COMMANDS } from './commands/index.js';
+import { createContainerAutocomplete, rankContainerNames } from './container-autocomplete.js';
+import {
+  parseLineFilter,
+  parseTimeBound,
+  readContainerLogs,
+  readMatchingLogs,
+} from './container-logs.js';
+import { readContainerStats } from './container-stats.js';
+import { startContainerEventWatcher } from './container-events.js';
+import { buildContainerDetail } from './discord-views.js';
+import { loadDockerHosts } from './docker-hosts.js';
+import { executePrune, formatPruneResult, planPrune, PRUNE_TARGETS } from './docker-housekeeping.js';
+import { createDdnsUpdater } from './ddns.js';
+import { createExecCatalog } from './exec-actions.js';
+import { createExternalIpTracker, DEFAULT_PROVIDERS, familyLabel } from './external-ip.js';
+import { collectHostMetrics, formatHostSummaryLine, parseDiskList } from './host-metrics.js';
+import { startHttpServer } from './http-server.js';
+import { createImageUpdateChecker, formatUpdateDigest } from './image-updates.js';
+import { codeBlockReply, packMessages } from './long-output.js';
+import { createMaintenanceWindow, formatMaintenance } from './maintenance.js';
+import { createMetricsRegistry } from './metrics.js';
+import { createNotifier } from './notifier.js';
+import { createPermissionGate, getInteractionRoleIds } from './permissions.js';
+import { createProbeMonitor, formatProbeSummary } from './probes.js';
 import { registerCommands } from './register-commands.js';
+import {
+  createReportScheduler,
+  diffContainerSnapshots,
+  formatContainerChanges,
+} from './report-scheduler.js';
+import { createActionScheduler } from './scheduled-actions.js';
+import { COMPOSE_PROJECT_LABEL } from './stacks.js';
 
 // Discord bot for the homelab. Real implementations for Docker
 // interactions and command responses should be added later.
@@ -19,25 +61,96 @@ import { registerCommands } from './register-commands.js';
 // DISCORD_ALLOWED_USER_ID (optional)
 // DISCORD_REPORT_CHANNEL_ID (optional)
 // BOT_STATE_DIR (optional)
+// DAILY_REPORT_CRON (optional, defaults to '0 8 * * *'; used until report-schedules.json exists)
+// CONFIRMATION_TIMEOUT_SECONDS (optional, defaults to 30)
+// AUDIT_MIRROR_TO_REPORT_CHANNEL (optional, set to 'true' to mirror audit entries)
+// HOST_PROC_PATH (optional, defaults to /proc)
+// HOST_SYS_PATH (optional, defaults to /sys)
+// HOST_DISKS (optional, comma-separated paths or label=path pairs, defaults to /)
+// STATS_CONCURRENCY (optional, defaults to 8)
+// IMAGE_UPDATE_CHECK_ENABLED (optional, defaults to true)
+// IMAGE_UPDATE_CHECK_CRON (optional, defaults to '0 7 * * *')
+// IMAGE_UPDATE_REGISTRY_OVERRIDES (optional, e.g. 'docker.io=http://127.0.0.1:5000')
+// UPDATE_HEALTHCHECK_TIMEOUT_SECONDS (optional, defaults to 120)
+// ALERT_RULES_CRON (optional, defaults to every minute)
+// CONTAINER_ALERTS_ENABLED (optional, defaults to true)
+// CONTAINER_ALERTS_IGNORE (optional, comma-separated container names)
+// CONTAINER_ALERT_COOLDOWN_MINUTES (optional, defaults to 10)
+// CONTAINER_ALERT_LOG_LINES (optional, defaults to 10)
+// RESTART_LOOP_THRESHOLD (optional, defaults to 3)
+// RESTART_LOOP_WINDOW_MINUTES (optional, defaults to 10)
+// LOG_FOLLOW_MAX_MINUTES (optional, defaults to 60)
+// LOG_FOLLOW_MAX_STREAMS (optional, defaults to 3)
+// EXTERNAL_IP_CHECK_CRON (optional, defaults to every 5 minutes)
+// EXTERNAL_IP_PROVIDERS (optional, comma-separated URLs returning the IPv4 address as text)
+// EXTERNAL_IPV6_ENABLED (optional, set to 'true' to also track the public IPv6 address)
+// EXTERNAL_IPV6_PROVIDERS (optional, comma-separated URLs returning the IPv6 address as text)
+// EXTERNAL_IP_TIMEOUT_SECONDS (optional, defaults to 5)
+// AUTO_PRUNE_CRON (optional, unset disables scheduled pruning)
+// AUTO_PRUNE_TARGETS (optional, comma-separated, defaults to 'containers,images,builder')
+// HTTP_SERVER_PORT (optional, serves /healthz and /metrics when set)
+// HTTP_SERVER_HOST (optional, defaults to 0.0.0.0)
 const token = process.env.DISCORD_TOKEN;
 const allowedChannelId = process.env.DISCORD_ALLOWED_CHANNEL_ID;
 const allowedUserId = process.env.DISCORD_ALLOWED_USER_ID;
 const reportChannelId = process.env.DISCORD_REPORT_CHANNEL_ID;
 const stateDir = process.env.BOT_STATE_DIR || path.join(process.cwd(), 'data');
 const lastExternalIpPath = path.join(stateDir, 'last_external_ip.txt');
+const externalIpPath = path.join(stateDir, 'external-ip.json');
+const ddnsPath = path.join(stateDir, 'ddns.json');
+const execActionsPath = path.join(stateDir, 'exec-actions.json');
+const ddnsStatePath = path.join(stateDir, 'ddns-state.json');
+const permissionsPath = path.join(stateDir, 'permissions.json');
+const auditLogPath = path.join(stateDir, 'audit.log.jsonl');
+const imageUpdatesPath = path.join(stateDir, 'image_updates.json');
+const dockerHostsPath = path.join(stateDir, 'docker-hosts.json');
+const alertRulesPath = path.join(stateDir, 'alert-rules.json');
+const alertStatePath = path.join(stateDir, 'alert-state.json');
+const notificationsPath = path.join(stateDir, 'notifications.json');
+const notificationOutboxPath = path.join(stateDir, 'notification-outbox.json');
+const reportSchedulesPath = path.join(stateDir, 'report-schedules.json');
+const reportScheduleStatePath = path.join(stateDir, 'report-schedule-state.json');
+const probesPath = path.join(stateDir, 'probes.json');
+const probeHistoryPath = path.join(stateDir, 'probe-history.json');
+const backupsPath = path.join(stateDir, 'backups.json');
+const backupStatePath = path.join(stateDir, 'backup-state.json');
+const commandRegistrationPath = path.join(stateDir, 'command-registration.json');
+const maintenancePath = path.join(stateDir, 'maintenance.json');
+const scheduledActionsPath = path.join(stateDir, 'scheduled-actions.json');
+// node-cron runs in UTC without an explicit zone, so honour TZ (or the system zone).
+const reportTimezone = process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
 const shouldRegisterCommands = process.env.DISCORD_REGISTER_COMMANDS !== 'false';
-
-const HELP_TEXT = `Available commands:
-/help — Show this help message
-/ping — Test bot responsiveness
-/status — Show homelab status
-/containers — List running containers
-/uptime — Show host + container uptime
-/ip — Show current homelab IP
-/restart <container> — Restart a Docker container by name
-/stop <container> — Stop a Docker container by name
-/start <container> — Start a Docker container by name
-/logs <container> [lines] — Show recent Docker logs (max 50 lines)`;
+const confirmationTimeoutMs =
+  (parseNonNegativeInteger(process.env.CONFIRMATION_TIMEOUT_SECONDS, 30) || 30) * 1000;
+const mirrorAuditToReportChannel = process.env.AUDIT_MIRROR_TO_REPORT_CHANNEL === 'true';
+const hostMetricsOptions = {
+  procPath: process.env.HOST_PROC_PATH || '/proc',
+  sysPath: process.env.HOST_SYS_PATH || '/sys',
+  disks: parseDiskList(process.env.HOST_DISKS),
+};
+const statsConcurrency = parseNonNegativeInteger(process.env.STATS_CONCURRENCY, 8) || 8;
+const imageUpdateCheckEnabled = process.env.IMAGE_UPDATE_CHECK_ENABLED !== 'false';
+const imageUpdateCheckCron = process.env.IMAGE_UPDATE_CHECK_CRON || '0 7 * * *';
+const alertRulesCron = process.env.ALERT_RULES_CRON || '* * * * *';
+const containerAlertsEnabled = process.env.CONTAINER_ALERTS_ENABLED !== 'false';
+const containerAlertOptions = {
+  cooldownMinutes: parseNonNegativeInteger(process.env.CONTAINER_ALERT_COOLDOWN_MINUTES, 10),
+  logLines: parseNonNegativeInteger(process.env.CONTAINER_ALERT_LOG_LINES, 10),
+  restartLoopThreshold: parseNonNegativeInteger(process.env.RESTART_LOOP_THRESHOLD, 3) || 3,
+  restartLoopWindowMinutes: parseNonNegativeInteger(process.env.RESTART_LOOP_WINDOW_MINUTES, 10) || 10,
+  ignoredContainers: parseList(process.env.CONTAINER_ALERTS_IGNORE),
+};
+const logFollowMaxMs =
+  (parseNonNegativeInteger(process.env.LOG_FOLLOW_MAX_MINUTES, 60) || 60) * 60 * 1000;
+const logFollowMaxStreams = parseNonNegativeInteger(process.env.LOG_FOLLOW_MAX_STREAMS, 3) || 3;
+const externalIpCheckCron = process.env.EXTERNAL_IP_CHECK_CRON || '*/5 * * * *';
+const externalIpv6Enabled = process.env.EXTERNAL_IPV6_ENABLED === 'true';
+const autoPruneCron = process.env.AUTO_PRUNE_CRON;
+const autoPruneTargets = parseList(process.env.AUTO_PRUNE_TARGETS || 'containers,images,builder');
+const httpServerPort = parseNonNegativeInteger(process.env.HTTP_SERVER_PORT, 0);
+const httpServerHost = process.env.HTTP_SERVER_HOST || '0.0.0.0';
+const DOCKER_CHECK_TIMEOUT_MS = 5 * 1000;
+const MAX_LOG_LINES = 10000;
 
 if (!token) {
   console.error('DISCORD_TOKEN is required to start the bot.');
@@ -46,16 +159,232 @@ if (!token) {
 
 ensureStateDir(stateDir);
 
-const docker = new Docker({ socketPath: '/var/run/docker.sock' });
+const metrics = createMetricsRegistry({ prefix: 'homelab_bot_' });
+const commandCounter = metrics.counter(
+  'commands_total',
+  'Slash commands handled, by command and result.'
+);
+const commandDuration = metrics.histogram(
+  'command_duration_seconds',
+  'Time spent handling slash commands, including waits for confirmation.'
+);
+const dockerApiErrors = metrics.counter(
+  'docker_api_errors_total',
+  'Failed Docker API requests, by host and HTTP status.'
+);
+const alertCounter = metrics.counter(
+  'alerts_fired_total',
+  'Alerts raised, by source and name, including silenced or suppressed ones.'
+);
+
+const dockerHosts = loadDockerHosts({ configPath: dockerHostsPath });
+const isMultiHost = dockerHosts.isMultiHost();
+
+// Each host keeps its own autocomplete cache and image update results; the
+// default host keeps the original results file.
+const hostContexts = new Map(
+  dockerHosts.list().map((host) => [
+    host.name,
+    {
+      ...host,
+      autocomplete: createContainerAutocomplete({ docker: host.docker }),
+      imageUpdates: createImageUpdateChecker({
+        docker: host.docker,
+        filePath:
+          host === dockerHosts.defaultHost()
+            ? imageUpdatesPath
+            : path.join(stateDir, `image_updates.${host.name}.json`),
+        registryOverrides: parseKeyValueList(process.env.IMAGE_UPDATE_REGISTRY_OVERRIDES),
+        healthcheckTimeoutMs:
+          (parseNonNegativeInteger(process.env.UPDATE_HEALTHCHECK_TIMEOUT_SECONDS, 120) || 120) * 1000,
+      }),
+    },
+  ])
+);
+const defaultHost = hostContexts.get(dockerHosts.defaultHost().name);
+for (const host of hostContexts.values()) {
+  countDockerApiErrors(host);
+}
+
+const execCatalog = createExecCatalog({ configPath: execActionsPath });
+
+const commands = createCommandRegistry(COMMANDS);
+
+const permissions = createPermissionGate({
+  filePath: permissionsPath,
+  commandTiers: commands.tiers(),
+  legacyUserId: allowedUserId,
+  legacyChannelId: allowedChannelId,
+});
 
 const client = new Client({
   intents: [GatewayIntentBits.Guilds],
 });
 
+const notifier = createNotifier({
+  configPath: notificationsPath,
+  outboxPath: notificationOutboxPath,
+  handlers: {
+    discord: (sink, notification) => deliverToDiscord(sink, notification.message),
+  },
+  defaultSinks: [{ name: 'discord', type: 'discord' }],
+});
+
+const maintenance = createMaintenanceWindow({
+  statePath: maintenancePath,
+  notify: sendReportMessage,
+});
+
+const alertEngine = createAlertEngine({
+  configPath: alertRulesPath,
+  statePath: alertStatePath,
+  readHostMetrics: () => collectHostMetrics(hostMetricsOptions),
+  listContainers: (hostName) => listContainersWithState(getHostContext(hostName)),
+  readContainerMemory: async (containerName, hostName) =>
+    (await readContainerStats(getHostContext(hostName).docker, containerName)).memoryUsedBytes,
+  isKnownHost: (hostName) => Boolean(getHostContext(hostName)),
+  notify: sendReportMessage,
+  onAlert: (name) => alertCounter.inc({ source: 'rule', name }),
+  isMuted: (containerName) => maintenance.covers(containerName),
+});
+
+const externalIp = createExternalIpTracker({
+  statePath: externalIpPath,
+  legacyPath: lastExternalIpPath,
+  providers: {
+    v4: parseList(process.env.EXTERNAL_IP_PROVIDERS || DEFAULT_PROVIDERS.v4.join(',')),
+    v6: externalIpv6Enabled
+      ? parseList(process.env.EXTERNAL_IPV6_PROVIDERS || DEFAULT_PROVIDERS.v6.join(','))
+      : [],
+  },
+  timeoutMs: (parseNonNegativeInteger(process.env.EXTERNAL_IP_TIMEOUT_SECONDS, 5) || 5) * 1000,
+  onChange: handleExternalIpChange,
+});
+
+const ddns = createDdnsUpdater({
+  configPath: ddnsPath,
+  statePath: ddnsStatePath,
+  notify: sendReportMessage,
+});
+
+const probeMonitor = createProbeMonitor({
+  configPath: probesPath,
+  statePath: probeHistoryPath,
+  notify: sendReportMessage,
+  onAlert: (name) => alertCounter.inc({ source: 'probe', name }),
+  isMuted: (name) => maintenance.covers(name),
+});
+
+const backups = createBackupManager({
+  configPath: backupsPath,
+  statePath: backupStatePath,
+  defaultTargetDir: path.join(stateDir, 'backups'),
+  timezone: reportTimezone,
+  getHost: getHostContext,
+  stopContainer,
+  startContainer,
+  notify: sendReportMessage,
+});
+
+const reportScheduler = createReportScheduler({
+  configPath: reportSchedulesPath,
+  statePath: reportScheduleStatePath,
+  defaultSchedules: [
+    {
+      name: 'daily',
+      cron: process.env.DAILY_REPORT_CRON || '0 8 * * *',
+      sections: ['ip', 'host', 'containers', 'probes', 'changes', 'updates'],
+    },
+  ],
+  defaultTimezone: reportTimezone,
+  runReport: runScheduledReport,
+});
+
+const actionScheduler = createActionScheduler({
+  statePath: scheduledActionsPath,
+  timezone: reportTimezone,
+  runAction: runScheduledAction,
+  notify: sendReportMessage,
+});
+
+const auditLog = createAuditLog({
+  filePath: auditLogPath,
+  mirror: mirrorAuditToReportChannel ? (message) => sendReportMessage(message) : null,
+});
+
+// Everything the command modules in commands/ may use; the handler adds the
+// Docker host each interaction picked.
+const bot = {
+  commands,
+  defaultHost,
+  isMultiHost,
+  hostSuffix,
+  auditLog,
+  alertEngine,
+  probeMonitor,
+  externalIp,
+  ddns,
+  backups,
+  reportScheduler,
+  execCatalog,
+  maintenance,
+  actionScheduler,
+  confirmAction,
+  checkInteractionPermission,
+  checkComponentPermission,
+  recordContainerAction,
+  runConfirmedContainerAction,
+  showContainerDetail,
+  startContainer,
+  stopContainer,
+  getContainerLogs,
+  listRunningContainersWithUptime,
+  buildStatusReport,
+  getGatewayIpAddress,
+  formatDuration,
+  hostMetricsOptions,
+  statsConcurrency,
+  logFollow: { maxMs: logFollowMaxMs, maxStreams: logFollowMaxStreams },
+};
+
+metrics.collect(() => [
+  {
+    name: 'discord_ready',
+    help: 'Whether the Discord gateway connection is ready.',
+    type: 'gauge',
+    samples: [{ value: client.isReady() ? 1 : 0 }],
+  },
+]);
+metrics.collect(async () => {
+  const lastRunAt = await reportScheduler.lastRunAt();
+  return [
+    {
+      name: 'last_report_timestamp_seconds',
+      help: 'When a scheduled report last completed.',
+      type: 'gauge',
+      samples: lastRunAt ? [{ value: new Date(lastRunAt).getTime() / 1000 }] : [],
+    },
+  ];
+});
+metrics.collect(collectContainerMetrics);
+
+if (httpServerPort) {
+  startHttpServer({
+    port: httpServerPort,
+    host: httpServerHost,
+    checkHealth,
+    renderMetrics: () => metrics.render(),
+  });
+}
+
 if (shouldRegisterCommands) {
-  registerCommands()
-    .then(({ count, scope }) => {
-      console.log(`Registered ${count} slash commands (${scope}).`);
+  registerCommands({ statePath: commandRegistrationPath })
+    .then(({ count, scope, skipped }) => {
+      console.log(
+        skipped
+          ? `Slash commands unchanged since the last registration (${scope}).`
+          : `Registered ${count} slash commands (${scope}).`
+      );
     })
     .catch((error) => {
       console.error('Failed to register slash commands.', error);
@@ -64,244 +393,478 @@ if (shouldRegisterCommands) {
 
 client.once(Events.ClientReady, () => {
   console.log(`Discord bot logged in as ${client.user?.tag ?? 'unknown user'}`);
-  scheduleDailyReport(client);
+  notifier.start();
+  notifier.flush();
+  reportScheduler.start();
+  scheduleImageUpdateCheck();
+  scheduleAlertEvaluation();
+  probeMonitor.start();
+  scheduleExternalIpCheck();
+  scheduleAutoPrune();
+  backups.start();
+  maintenance.start();
+  actionScheduler.start();
+  if (containerAlertsEnabled) {
+    for (const host of hostContexts.values()) {
+      startContainerEventWatcher({
+        docker: host.docker,
+        notify: (message, options) =>
+          sendReportMessage(isMultiHost ? `**[${host.name}]** ${message}` : message, options),
+        onAlert: (name) =>
+          alertCounter.inc({ source: 'container', name: isMultiHost ? `${host.name}/${name}` : name }),
+        isMuted: (name) => maintenance.covers(name),
+        options: containerAlertOptions,
+      });
+    }
+  }
 });
 
+// Deliver anything queued while the gateway connection was down.
+client.on(Events.ShardResume, () => notifier.flush());
+
 client.on(Events.InteractionCreate, async (interaction) => {
+  if (interaction.isAutocomplete()) {
+    await respondWithSuggestions(interaction);
+    return;
+  }
   if (!interaction.isChatInputCommand()) return;
-  if (allowedChannelId && interaction.channelId !== allowedChannelId) return;
-  if (allowedUserId && interaction.user.id !== allowedUserId) return;
 
-  switch (interaction.commandName) {
-    case 'help': {
-      await interaction.reply(HELP_TEXT);
-      break;
-    }
-    case 'ping': {
-      await interaction.reply('Hello there! 👋');
-      break;
+  const commandName = [interaction.commandName, interaction.options.getSubcommand(false)]
+    .filter(Boolean)
+    .join(' ');
+  const permission = checkInteractionPermission(interaction, interaction.options.getString('container'));
+  if (!permission.allowed) {
+    commandCounter.inc({ command: commandName, result: 'denied' });
+    await interaction.reply({ content: permission.message, ephemeral: true });
+    return;
+  }
+  const hostName = interaction.options.getString('host');
+  const host = getHostContext(hostName);
+  if (!host) {
+    commandCounter.inc({ command: commandName, result: 'rejected' });
+    await interaction.reply({ content: `Unknown Docker host '${hostName}'.`, ephemeral: true });
+    return;
+  }
+
+  const startedAt = performance.now();
+  const result = await commands.execute(interaction, { ...bot, host });
+  commandCounter.inc({ command: commandName, result });
+  commandDuration.observe({ command: commandName }, (performance.now() - startedAt) / 1000);
+});
+
+async function buildStatusReport({
+  groupByStack = false,
+  maxLength,
+  sections = ['ip', 'host', 'containers'],
+} = {}) {
+  try {
+    let gatewayIp = null;
+    let externalAddresses = null;
+    if (sections.includes('ip')) {
+      gatewayIp = getGatewayIpAddress();
+      // Changes found here are alerted by the tracker itself.
+      externalAddresses = await externalIp.check();
     }
-    case 'status': {
-      await interaction.deferReply({ ephemeral: false });
-      const statusReport = await buildStatusReport();
-      const statusMessage = statusReport?.report;
-      if (!statusMessage) {
-        await interaction.editReply('Unable to read container status right now.');
-        return;
-      }
-      await interaction.editReply(statusMessage);
-      if (statusReport?.externalIpChanged) {
-        await sendExternalIpChangeAlert(client, statusReport.lastExternalIp, statusReport.externalIp);
-      }
-      break;
+    let containers = null;
+    let hosts = null;
+    if (sections.includes('containers')) {
+      ({ containers, hosts } = await listRunningContainersOnAllHosts());
     }
-    case 'containers': {
-      await interaction.deferReply({ ephemeral: false });
-      try {
-        const containers = await listRunningContainersWithUptime();
-        if (containers.length === 0) {
-          await interaction.editReply('No running containers found.');
-          return;
-        }
-        const containerList = containers.map((container) => container.name).join('\n');
-        await interaction.editReply(containerList);
-      } catch (error) {
-        console.error('Failed to list running containers.', error);
-        await interaction.editReply('Unable to list running containers right now.');
-      }
-      break;
+    const hostSummary = sections.includes('host')
+      ? await collectHostMetrics(hostMetricsOptions)
+          .then(formatHostSummaryLine)
+          .catch((error) => {
+            console.error('Failed to read host metrics.', error);
+            return null;
+          })
+      : null;
+    const maintenanceWindow = maintenance.current();
+    const maintenanceLine = maintenanceWindow ? formatMaintenance(maintenanceWindow) : null;
+    return {
+      report: formatStatusReport(gatewayIp, externalAddresses, containers, {
+        groupByStack,
+        hostSummary,
+        hosts,
+        maintenance: maintenanceLine,
+        maxLength,
+      }),
+      gatewayIp,
+      externalAddresses,
+      containers,
+      hosts,
+      hostSummary,
+      maintenance: maintenanceLine,
+    };
+  } catch (error) {
+    console.error('Failed to build status report.', error);
+    return null;
+  }
+}
+
+// Runs a /schedule-action job; the scheduler reports the outcome.
+async function runScheduledAction(job) {
+  const host = getHostContext(job.host);
+  if (!host) {
+    return { ok: false, message: `Unknown Docker host '${job.host}'.` };
+  }
+  const runners = { start: startContainer, stop: stopContainer, restart: restartContainer };
+  const result = await runners[job.action](host, job.container);
+  if (result.changed) {
+    host.autocomplete.invalidate();
+  }
+  await auditLog.record({
+    userId: job.createdBy?.id,
+    userTag: job.createdBy?.tag,
+    action: `scheduled ${job.action}`,
+    target: job.container,
+    ...(isMultiHost ? { host: host.name } : {}),
+    result: result.ok ? (result.changed ? 'success' : 'no change') : 'failed',
+    previousState: result.previousState,
+    detail: result.ok ? `job ${job.name}` : result.message,
+  });
+  return result;
+}
+
+async function runConfirmedContainerAction(interaction, host, action, target) {
+  const verb = action === 'restart' ? 'Restart' : 'Stop';
+  const confirmed = await confirmAction(interaction, {
+    prompt: `${verb} \`${target}\`${hostSuffix(host)}?`,
+    confirmLabel: verb,
+    pendingMessage: `${action === 'restart' ? 'Restarting' : 'Stopping'} ${target}…`,
+  });
+  if (!confirmed) return;
+  const result =
+    action === 'restart' ? await restartContainer(host, target) : await stopContainer(host, target);
+  await recordContainerAction(interaction, host, action, target, result);
+  await interaction.editReply({ content: result.message, components: [] });
+}
+
+// Picked from the /containers select menu: an ephemeral detail card whose
+// buttons run the same actions as the slash commands, with the same checks.
+async function showContainerDetail(selectInteraction, host, containerName) {
+  const permission = checkComponentPermission(selectInteraction, 'containers', containerName);
+  if (!permission.allowed) {
+    await selectInteraction.reply({ content: permission.message, ephemeral: true });
+    return;
+  }
+
+  let details;
+  try {
+    details = await host.docker.getContainer(containerName).inspect();
+  } catch (error) {
+    if (error?.statusCode !== 404) {
+      console.error(`Failed to inspect container ${containerName}.`, error);
     }
-    case 'uptime': {
-      try {
-        const hostUptime = formatDuration(os.uptime() * 1000);
-        const containers = await listRunningContainersWithUptime();
-        const containerLines =
-          containers.length === 0
-            ? ['(no running containers)']
-            : containers.map((container) => `${container.name} — ${container.uptime}`);
-        const response = `Host uptime: ${hostUptime}\nRunning containers:\n${containerLines.join('\n')}`;
-        await interaction.reply(response);
-      } catch (error) {
-        console.error('Failed to read uptime.', error);
-        await interaction.reply('Unable to read uptime right now.');
-      }
-      break;
+    await selectInteraction.reply({
+      content: `Unable to read ${containerName} right now.`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const prefix = `container:${selectInteraction.id}`;
+  const response = await selectInteraction.reply({
+    ...buildContainerDetail(
+      {
+        name: containerName,
+        state: details.State?.Status ?? 'unknown',
+        health: details.State?.Health?.Status ?? null,
+        uptime: formatUptime(details.State?.StartedAt),
+        image: details.Config?.Image ?? details.Image,
+        stack: details.Config?.Labels?.[COMPOSE_PROJECT_LABEL] ?? null,
+      },
+      prefix
+    ),
+    ephemeral: true,
+    withResponse: true,
+  });
+
+  const collector = response.resource.message.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    time: 5 * 60 * 1000,
+  });
+  collector.on('collect', async (button) => {
+    const action = button.customId.slice(prefix.length + 1);
+    const actionPermission = checkComponentPermission(button, action, containerName);
+    if (!actionPermission.allowed) {
+      await button.reply({ content: actionPermission.message, ephemeral: true });
+      return;
     }
-    case 'ip': {
-      try {
-        const gatewayIp = getGatewayIpAddress();
-        await interaction.reply(`Host IP: ${gatewayIp}`);
-      } catch (error) {
-        console.error('Failed to read host IP.', error);
-        await interaction.reply('Unable to read host IP right now.');
+    try {
+      if (action === 'logs') {
+        await button.deferReply({ ephemeral: false });
+        await button.editReply(await getContainerLogs(host, containerName));
+      } else if (action === 'start') {
+        await button.deferReply({ ephemeral: false });
+        const result = await startContainer(host, containerName);
+        await recordContainerAction(button, host, 'start', containerName, result);
+        await button.editReply(result.message);
+      } else {
+        await runConfirmedContainerAction(button, host, action, containerName);
       }
-      break;
-    }
-    case 'restart': {
-      await interaction.deferReply({ ephemeral: false });
-      const target = interaction.options.getString('container', true);
-      const result = await restartContainer(target);
-      await interaction.editReply(result);
-      break;
-    }
-    case 'stop': {
-      await interaction.deferReply({ ephemeral: false });
-      const target = interaction.options.getString('container', true);
-      const result = await stopContainer(target);
-      await interaction.editReply(result);
-      break;
-    }
-    case 'start': {
-      await interaction.deferReply({ ephemeral: false });
-      const target = interaction.options.getString('container', true);
-      const result = await startContainer(target);
-      await interaction.editReply(result);
-      break;
+    } catch (error) {
+      console.error(`Failed to run ${action} on ${containerName} from /containers.`, error);
     }
-    case 'logs': {
-      await interaction.deferReply({ ephemeral: false });
-      const target = interaction.options.getString('container', true);
-      const lines = interaction.options.getInteger('lines');
-      const result = await getContainerLogs(target, lines);
-      await interaction.editReply(result);
-      break;
+  });
+}
+
+async function confirmAction(interaction, { prompt, confirmLabel, pendingMessage }) {
+  const confirmId = `confirm:${interaction.id}`;
+  const cancelId = `cancel:${interaction.id}`;
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(confirmId).setLabel(confirmLabel).setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId(cancelId).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  );
+  // Commands that had to look something up first have already deferred.
+  const message = interaction.deferred
+    ? await interaction.editReply({ content: prompt, components: [buttons] })
+    : (await interaction.reply({ content: prompt, components: [buttons], withResponse: true })).resource
+        .message;
+
+  try {
+    const button = await message.awaitMessageComponent({
+      componentType: ComponentType.Button,
+      time: confirmationTimeoutMs,
+      filter: async (buttonInteraction) => {
+        if (buttonInteraction.user.id === interaction.user.id) return true;
+        await buttonInteraction.reply({
+          content: 'Only the person who ran this command can confirm it.',
+          ephemeral: true,
+        });
+        return false;
+      },
+    });
+    if (button.customId === cancelId) {
+      await button.update({ content: 'Cancelled; nothing was changed.', components: [] });
+      return false;
     }
-    default: {
-      await interaction.reply('Unknown command.');
+    await button.update({ content: pendingMessage, components: [] });
+    return true;
+  } catch (error) {
+    if (error?.code !== 'InteractionCollectorError') {
+      console.error('Failed to collect confirmation.', error);
     }
+    await interaction.editReply({
+      content: 'Confirmation timed out; nothing was changed.',
+      components: [],
+    });
+    return false;
   }
-});
+}
+
+function getHostContext(name) {
+  const host = dockerHosts.get(name);
+  return host ? hostContexts.get(host.name) : null;
+}
+
+// Host names only show up in replies once more than one host is configured.
+function hostSuffix(host) {
+  return isMultiHost ? ` on ${host.name}` : '';
+}
+
+// Buttons and select menus carry no command name, so the caller names the
+// command whose tier applies.
+function checkComponentPermission(component, commandName, containerName) {
+  return permissions.check({
+    commandName,
+    userId: component.user.id,
+    roleIds: getInteractionRoleIds(component),
+    channelId: component.channelId,
+    containerName,
+  });
+}
+
+function checkInteractionPermission(interaction, containerName) {
+  return permissions.check({
+    commandName: interaction.commandName,
+    subcommandName: interaction.options.getSubcommand(false),
+    userId: interaction.user.id,
+    roleIds: getInteractionRoleIds(interaction),
+    channelId: interaction.channelId,
+    containerName,
+  });
+}
+
+async function respondWithSuggestions(interaction) {
+  const focused = interaction.options.getFocused(true);
 
-async function buildStatusReport() {
   try {
-    const gatewayIp = getGatewayIpAddress();
-    const externalIp = await getExternalIpAddress();
-    const lastExternalIp = await readLastExternalIp(lastExternalIpPath);
-    const externalIpChanged =
-      isValidExternalIp(externalIp) &&
-      isValidExternalIp(lastExternalIp) &&
-      externalIp !== lastExternalIp;
-    if (isValidExternalIp(externalIp) && (externalIpChanged || !isValidExternalIp(lastExternalIp))) {
-      await writeLastExternalIp(lastExternalIpPath, externalIp);
+    let names = [];
+    // Suggestions come from the host picked so far; unknown names fall back to the default.
+    const host = getHostContext(interaction.options.getString('host')) ?? defaultHost;
+    if (focused.name === 'host') {
+      names = rankContainerNames(dockerHosts.names(), focused.value).slice(0, 25);
+    } else if (focused.name === 'container') {
+      names = await host.autocomplete.suggest(
+        interaction.commandName,
+        focused.value,
+        (containerName) =>
+          checkInteractionPermission(interaction, containerName).allowed &&
+          (interaction.commandName !== 'exec' || execCatalog.list(containerName).length > 0)
+      );
+    } else {
+      names = await commands.autocomplete(interaction, focused, { ...bot, host });
     }
-    const containers = await listRunningContainersWithUptime();
-    return {
-      report: formatStatusReport(gatewayIp, externalIp, containers),
-      externalIp,
-      lastExternalIp,
-      externalIpChanged,
-    };
+    await interaction.respond(names.map((name) => ({ name, value: name })));
   } catch (error) {
-    console.error('Failed to build status report.', error);
-    return null;
+    console.error('Failed to respond to autocomplete.', error);
   }
 }
 
-async function restartContainer(containerName) {
+async function recordContainerAction(interaction, host, action, target, result) {
+  if (result.changed) {
+    host.autocomplete.invalidate();
+  }
+  let outcome = 'failed';
+  if (result.ok) {
+    outcome = result.changed ? 'success' : 'no change';
+  }
+  await auditLog.record({
+    userId: interaction.user.id,
+    userTag: interaction.user.tag,
+    action,
+    target,
+    ...(isMultiHost ? { host: host.name } : {}),
+    result: outcome,
+    previousState: result.previousState,
+    detail: result.ok ? undefined : result.message,
+  });
+}
+
+async function restartContainer(host, containerName) {
   if (!containerName) {
-    return 'Usage: /restart <container-name>';
+    return { ok: false, message: 'Usage: /restart <container-name>' };
   }
+  let previousState;
   try {
-    const container = docker.getContainer(containerName);
+    const container = host.docker.getContainer(containerName);
+    const details = await container.inspect();
+    previousState = details?.State?.Status;
     await container.restart();
-    return `Restarted ${containerName}.`;
+    return { ok: true, changed: true, previousState, message: `Restarted ${containerName}.` };
   } catch (error) {
     console.error(`Failed to restart container ${containerName}.`, error);
-    return `Unable to restart ${containerName} right now.`;
+    return { ok: false, previousState, message: `Unable to restart ${containerName} right now.` };
   }
 }
 
-async function stopContainer(containerName) {
+async function stopContainer(host, containerName) {
   if (!containerName) {
-    return 'Usage: /stop <container-name>';
+    return { ok: false, message: 'Usage: /stop <container-name>' };
   }
+  let previousState;
   try {
-    const container = docker.getContainer(containerName);
+    const container = host.docker.getContainer(containerName);
     const details = await container.inspect();
+    previousState = details?.State?.Status;
     const isRunning = Boolean(details?.State?.Running);
     if (!isRunning) {
-      return `${containerName} is already stopped.`;
+      return {
+        ok: true,
+        changed: false,
+        previousState,
+        message: `${containerName} is already stopped.`,
+      };
     }
     await container.stop();
-    return `Stopped ${containerName}.`;
+    return { ok: true, changed: true, previousState, message: `Stopped ${containerName}.` };
   } catch (error) {
     console.error(`Failed to stop container ${containerName}.`, error);
-    return `Unable to stop ${containerName} right now.`;
+    return { ok: false, previousState, message: `Unable to stop ${containerName} right now.` };
   }
 }
 
-async function startContainer(containerName) {
+async function startContainer(host, containerName) {
   if (!containerName) {
-    return 'Usage: /start <container-name>';
+    return { ok: false, message: 'Usage: /start <container-name>' };
   }
+  let previousState;
   try {
-    const container = docker.getContainer(containerName);
+    const container = host.docker.getContainer(containerName);
     const details = await container.inspect();
+    previousState = details?.State?.Status;
     const isRunning = Boolean(details?.State?.Running);
     if (isRunning) {
-      return `${containerName} is already running.`;
+      return {
+        ok: true,
+        changed: false,
+        previousState,
+        message: `${containerName} is already running.`,
+      };
     }
     await container.start();
-    return `Started ${containerName}.`;
+    return { ok: true, changed: true, previousState, message: `Started ${containerName}.` };
   } catch (error) {
     console.error(`Failed to start container ${containerName}.`, error);
-    return `Unable to start ${containerName} right now.`;
+    return { ok: false, previousState, message: `Unable to start ${containerName} right now.` };
   }
 }
 
-function normalizeRequestedLogLines(linesArg) {
-  const parsed = Number.parseInt(linesArg, 10);
-  if (!Number.isFinite(parsed) || parsed <= 0) {
-    return { lines: 10, maxEnforced: false };
-  }
-  if (parsed >= 50) {
-    return { lines: 50, maxEnforced: true };
+async function getContainerLogs(
+  host,
+  containerName,
+  { lines, since, until, grep, stderrOnly = false } = {}
+) {
+  const sinceSeconds = since ? parseTimeBound(since) : undefined;
+  const untilSeconds = until ? parseTimeBound(until) : undefined;
+  if (sinceSeconds === null || untilSeconds === null) {
+    return {
+      content: 'Invalid time range. Use a duration like `2h` or a timestamp like `2024-05-01T08:00`.',
+    };
   }
-  return { lines: parsed, maxEnforced: false };
-}
-
-function truncateForDiscord(message, maxLength) {
-  if (message.length <= maxLength) {
-    return message;
+  const filter = parseLineFilter(grep);
+  if (!filter) {
+    return { content: `Invalid grep regex ${grep}.` };
   }
-  return message.slice(message.length - maxLength);
-}
-
-async function getContainerLogs(containerName, linesArg) {
-  const { lines, maxEnforced } = normalizeRequestedLogLines(linesArg);
-  const container = docker.getContainer(containerName);
 
+  const requestedLines = lines > 0 ? Math.min(lines, MAX_LOG_LINES) : null;
+  const filtering = Boolean(grep || stderrOnly || since || until);
+  let matching;
   try {
-    await container.inspect();
+    matching = filtering
+      ? await readMatchingLogs(host.docker, containerName, {
+          since: sinceSeconds,
+          until: untilSeconds,
+          filter,
+          stderrOnly,
+          limit: requestedLines ?? MAX_LOG_LINES,
+        })
+      : await readContainerLogs(host.docker, containerName, { tail: requestedLines ?? 10 });
   } catch (error) {
     if (error?.statusCode === 404) {
-      return `Container '${containerName}' not found.`;
+      return { content: `Container '${containerName}' not found.` };
     }
-    console.error(`Failed to inspect container ${containerName}.`, error);
-    return `Unable to fetch logs for ${containerName} right now.`;
+    console.error(`Failed to fetch logs for ${containerName}.`, error);
+    return { content: `Unable to fetch logs for ${containerName} right now.` };
   }
 
-  try {
-    const rawLogs = await container.logs({ stdout: true, stderr: true, tail: lines });
-    const logText = typeof rawLogs === 'string' ? rawLogs : rawLogs?.toString('utf8');
-    if (!logText || !logText.trim()) {
-      return `Container '${containerName}' has no logs.`;
-    }
-
-    const notice = maxEnforced ? 'Showing the most recent 50 log lines (maximum allowed).\n' : '';
-    const codeFenceLength = '```\n\n```'.length;
-    const maxMessageLength = 1900;
-    const availableForLogs = Math.max(0, maxMessageLength - notice.length - codeFenceLength);
-    const trimmedLogs = truncateForDiscord(logText.trimEnd(), availableForLogs);
-
-    return `${notice}\`\`\`\n${trimmedLogs}\n\`\`\``;
-  } catch (error) {
-    console.error(`Failed to fetch logs for ${containerName}.`, error);
-    return `Unable to fetch logs for ${containerName} right now.`;
+  if (!matching.some((entry) => entry.line.trim())) {
+    return {
+      content: filtering
+        ? `No log lines from '${containerName}' matched.`
+        : `Container '${containerName}' has no logs.`,
+    };
   }
+
+  const rangeParts = [];
+  if (since) rangeParts.push(`since ${since}`);
+  if (until) rangeParts.push(`until ${until}`);
+  if (grep) rangeParts.push(`matching \`${grep}\``);
+  if (stderrOnly) rangeParts.push('stderr only');
+  const range = rangeParts.length ? ` (${rangeParts.join(', ')})` : '';
+  return codeBlockReply(
+    matching
+      .map((entry) => entry.line)
+      .join('\n')
+      .trimEnd(),
+    {
+      fileName: `${containerName}.log`,
+      summary: `📄 ${matching.length} log lines from **${containerName}**${hostSuffix(host)}${range}`,
+    }
+  );
 }
 
-async function listRunningContainersWithUptime() {
+async function listRunningContainersWithUptime(docker) {
   const summaries = await docker.listContainers({ filters: { status: ['running'] } });
   const inspections = await Promise.all(
     summaries.map(async (summary) => {
@@ -310,6 +873,8 @@ async function listRunningContainersWithUptime() {
       return {
         name: (details.Name || summary.Names?.[0] || summary.Id).replace(/^\//, ''),
         startedAt: details.State?.StartedAt,
+        health: details.State?.Health?.Status ?? null,
+        stack: summary.Labels?.[COMPOSE_PROJECT_LABEL] ?? null,
       };
     })
   );
@@ -318,10 +883,45 @@ async function listRunningContainersWithUptime() {
     .map((entry) => ({
       name: entry.name,
       uptime: formatUptime(entry.startedAt),
+      health: entry.health,
+      stack: entry.stack,
     }))
     .sort((a, b) => a.name.localeCompare(b.name));
 }
 
+// With several hosts an unreachable one is reported instead of failing the
+// whole listing; `hosts` is null when only one host is configured.
+async function listRunningContainersOnAllHosts() {
+  const hosts = [];
+  const results = await Promise.all(
+    [...hostContexts.values()].map(async (host) => {
+      try {
+        const containers = await listRunningContainersWithUptime(host.docker);
+        hosts.push({ name: host.name, reachable: true });
+        return containers.map((container) => ({ ...container, host: host.name }));
+      } catch (error) {
+        if (!isMultiHost) throw error;
+        console.error(`Failed to list containers on Docker host ${host.name}.`, error);
+        hosts.push({ name: host.name, reachable: false });
+        return [];
+      }
+    })
+  );
+  const hostOrder = dockerHosts.names();
+  hosts.sort((a, b) => hostOrder.indexOf(a.name) - hostOrder.indexOf(b.name));
+  return { containers: results.flat(), hosts: isMultiHost ? hosts : null };
+}
+
+// Alert rules only look at the default host.
+async function listContainersWithState(host) {
+  const summaries = await host.docker.listContainers({ all: true });
+  return summaries.map((summary) => ({
+    name: (summary.Names?.[0] || summary.Id).replace(/^\//, ''),
+    state: summary.State,
+    health: summary.Status?.match(/\((healthy|unhealthy)\)/)?.[1] ?? null,
+  }));
+}
+
 function formatUptime(startedAt) {
   if (!startedAt) return 'unknown uptime';
   const started = new Date(startedAt);
@@ -345,21 +945,45 @@ function formatDuration(milliseconds) {
   return parts.join(' ');
 }
 
-function formatStatusReport(gatewayIp, externalIp, containers) {
-  const header = `📊 **Homelab Status Report**
-
-**Host IP:** \`${gatewayIp}\`
-**External IP:** \`${externalIp}\`
-**Running containers:** \`${containers.length}\`
-
-**Containers**`;
+function formatStatusReport(
+  gatewayIp,
+  externalAddresses,
+  containers,
+  { groupByStack = false, hostSummary, hosts = null, maintenance = null, maxLength = 1900 } = {}
+) {
+  // A null IP or container list leaves that part out (scheduled reports pick sections).
+  const headerLines = ['📊 **Homelab Status Report**', ''];
+  if (maintenance) headerLines.push(maintenance, '');
+  if (gatewayIp !== null) {
+    headerLines.push(
+      `**Host IP:** \`${gatewayIp}\``,
+      `**External IP:** \`${externalAddresses.v4 ?? 'unknown'}\``
+    );
+    if ('v6' in externalAddresses) {
+      headerLines.push(`**External IPv6:** \`${externalAddresses.v6 ?? 'unknown'}\``);
+    }
+  }
+  if (hostSummary) headerLines.push(`**Host:** ${hostSummary}`);
+  if (containers === null) {
+    return headerLines.join('\n').trimEnd();
+  }
+  headerLines.push(`**Running containers:** \`${containers.length}\``, '', '**Containers**');
+  const header = headerLines.join('\n');
 
-  const formattedContainers =
-    containers.length === 0
-      ? ['(no running containers)']
-      : containers.map((container) => `${container.name} — ${container.uptime}`);
+  let formattedContainers;
+  if (hosts) {
+    formattedContainers = hosts.flatMap(({ name, reachable }) => {
+      if (!reachable) return [`🖥️ **${name}** — unreachable`];
+      const hostContainers = containers.filter((container) => container.host === name);
+      return [
+        `🖥️ **${name}** (${hostContainers.length})`,
+        ...formatContainerLines(hostContainers, groupByStack),
+      ];
+    });
+  } else {
+    formattedContainers = formatContainerLines(containers, groupByStack);
+  }
 
-  const maxLength = 1900;
   const available = maxLength - header.length - 1;
   const lines = [];
   let used = 0;
@@ -383,6 +1007,32 @@ function formatStatusReport(gatewayIp, externalIp, containers) {
   return `${header}\n${lines.join('\n')}`;
 }
 
+function formatContainerLines(containers, groupByStack) {
+  if (containers.length === 0) return ['(no running containers)'];
+  if (groupByStack) return groupContainersByStack(containers);
+  return containers.map((container) => `${container.name} — ${container.uptime}`);
+}
+
+function groupContainersByStack(containers) {
+  const groups = new Map();
+  for (const container of containers) {
+    const stackName = container.stack || '';
+    if (!groups.has(stackName)) groups.set(stackName, []);
+    groups.get(stackName).push(container);
+  }
+
+  // Stacks alphabetically, containers outside any stack last.
+  const stackNames = [...groups.keys()].sort((a, b) => {
+    if (!a) return 1;
+    if (!b) return -1;
+    return a.localeCompare(b);
+  });
+  return stackNames.flatMap((stackName) => [
+    `__${stackName || 'standalone'}__`,
+    ...groups.get(stackName).map((container) => `  ${container.name} — ${container.uptime}`),
+  ]);
+}
+
 function getGatewayIpAddress() {
   try {
     const routeData = fs.readFileSync('/proc/net/route', 'utf8');
@@ -412,109 +1062,321 @@ function hexToIp(hexString) {
     .join('.');
 }
 
-function scheduleDailyReport(discordClient) {
+// Every Docker API request goes through modem.dial, so wrapping it counts the
+// failures of every feature without touching them.
+function countDockerApiErrors(host) {
+  const { modem } = host.docker;
+  const dial = modem.dial.bind(modem);
+  modem.dial = (options, callback) =>
+    dial(options, (error, ...results) => {
+      if (error) {
+        dockerApiErrors.inc({ host: host.name, status: String(error.statusCode ?? 'connection') });
+      }
+      callback(error, ...results);
+    });
+}
+
+// Healthy means connected to Discord with the default Docker host reachable;
+// other hosts are listed but do not fail the check, since restarting the bot
+// would not bring them back.
+async function checkHealth() {
+  const docker = await Promise.all(
+    [...hostContexts.values()].map(async (host) => {
+      try {
+        await host.docker.ping({ abortSignal: AbortSignal.timeout(DOCKER_CHECK_TIMEOUT_MS) });
+        return { name: host.name, reachable: true };
+      } catch (error) {
+        console.error(`Health check could not reach Docker host ${host.name}.`, error);
+        return { name: host.name, reachable: false };
+      }
+    })
+  );
+  const discordReady = client.isReady();
+  const defaultReachable = docker.find((host) => host.name === defaultHost.name).reachable;
+  return {
+    healthy: discordReady && defaultReachable,
+    discord: { ready: discordReady },
+    docker,
+    lastReportAt: await reportScheduler.lastRunAt(),
+  };
+}
+
+async function collectContainerMetrics() {
+  const up = [];
+  const running = [];
+  await Promise.all(
+    [...hostContexts.values()].map(async (host) => {
+      let summaries;
+      try {
+        summaries = await host.docker.listContainers({
+          all: true,
+          abortSignal: AbortSignal.timeout(DOCKER_CHECK_TIMEOUT_MS),
+        });
+      } catch (error) {
+        console.error(`Failed to list containers on ${host.name} for metrics.`, error);
+        up.push({ labels: { host: host.name }, value: 0 });
+        return;
+      }
+      up.push({ labels: { host: host.name }, value: 1 });
+      for (const summary of summaries) {
+        const container = (summary.Names?.[0] || summary.Id).replace(/^\//, '');
+        running.push({
+          labels: { host: host.name, container, state: summary.State },
+          value: summary.State === 'running' ? 1 : 0,
+        });
+      }
+    })
+  );
+  return [
+    { name: 'docker_up', help: 'Whether the Docker host answered.', type: 'gauge', samples: up },
+    {
+      name: 'container_running',
+      help: 'Whether each container is running, with its current state.',
+      type: 'gauge',
+      samples: running,
+    },
+  ];
+}
+
+function scheduleImageUpdateCheck() {
+  if (!imageUpdateCheckEnabled) return;
   cron.schedule(
-    '0 8 * * *',
+    imageUpdateCheckCron,
     async () => {
-      await sendScheduledReport(discordClient);
+      for (const host of hostContexts.values()) {
+        try {
+          await host.imageUpdates.checkAll();
+        } catch (error) {
+          console.error(`Failed to check for image updates on ${host.name}.`, error);
+        }
+      }
     },
-    { timezone: 'America/New_York' }
+    { timezone: reportTimezone }
   );
 }
 
-async function sendScheduledReport(discordClient) {
-  const statusReport = await buildStatusReport();
-  const statusMessage = statusReport?.report;
-  if (!statusMessage) {
-    console.error('Skipping scheduled report; status message unavailable.');
-    return;
-  }
-
-  await sendReportMessage(discordClient, statusMessage);
-  if (statusReport?.externalIpChanged) {
-    await sendExternalIpChangeAlert(discordClient, statusReport.lastExternalIp, statusReport.externalIp);
-  }
+function scheduleExternalIpCheck() {
+  cron.schedule(externalIpCheckCron, async () => {
+    try {
+      // Also retries DDNS records whose last update failed.
+      await ddns.sync(await externalIp.check());
+    } catch (error) {
+      console.error('Failed to check the external IP.', error);
+    }
+  });
 }
 
-async function sendExternalIpChangeAlert(discordClient, previousIp, currentIp) {
-  if (!isValidExternalIp(previousIp) || !isValidExternalIp(currentIp) || previousIp === currentIp) {
-    return;
-  }
-  const alertMessage = `⚠️ **External IP changed**\n\`${previousIp}\` → \`${currentIp}\``;
-  await sendReportMessage(discordClient, alertMessage);
+// Only the conservative prunes run unattended: dangling images, anonymous
+// volumes and unshared build cache. Results go to the report channel.
+function scheduleAutoPrune() {
+  if (!autoPruneCron) return;
+  const targets = autoPruneTargets.filter((target) => PRUNE_TARGETS.includes(target));
+  cron.schedule(
+    autoPruneCron,
+    async () => {
+      const lines = [];
+      let failed = false;
+      for (const host of hostContexts.values()) {
+        for (const target of targets) {
+          const label = isMultiHost ? `**${host.name}** ${target}` : `**${target}**`;
+          try {
+            const plan = await planPrune(host.docker, target);
+            if (!plan.items.length) {
+              lines.push(`${label}: nothing to remove`);
+              continue;
+            }
+            const result = await executePrune(host.docker, plan);
+            failed ||= result.failed.length > 0;
+            lines.push(`${label}: ${formatPruneResult(plan, result).replace(/^🧹 /, '')}`);
+          } catch (error) {
+            console.error(`Failed to auto-prune ${target} on ${host.name}.`, error);
+            failed = true;
+            lines.push(`${label}: ❌ prune failed`);
+          }
+        }
+      }
+      await sendReportMessage(`🧹 **Auto-prune**\n${lines.join('\n')}`, {
+        severity: failed ? 'warning' : 'info',
+      });
+    },
+    { timezone: reportTimezone }
+  );
 }
 
-async function sendReportMessage(discordClient, message) {
-  if (reportChannelId) {
+function scheduleAlertEvaluation() {
+  cron.schedule(alertRulesCron, async () => {
     try {
-      const channel = await discordClient.channels.fetch(reportChannelId);
-      if (channel?.isTextBased()) {
-        await channel.send(message);
-        return;
-      }
-      console.error('Report channel is not text-based.');
+      await alertEngine.evaluate();
     } catch (error) {
-      console.error('Failed to send report to channel.', error);
+      console.error('Failed to evaluate alert rules.', error);
+    }
+  });
+}
+
+// Sends one scheduled report and returns the container snapshot that the
+// next run of the same schedule diffs against.
+async function runScheduledReport(schedule, lastRun) {
+  const parts = [];
+  const statusSections = schedule.sections.filter((section) =>
+    ['ip', 'host', 'containers'].includes(section)
+  );
+  // The status section carries the maintenance flag itself.
+  const maintenanceWindow = maintenance.current();
+  if (maintenanceWindow && !statusSections.length) {
+    parts.push(formatMaintenance(maintenanceWindow));
+  }
+  if (statusSections.length) {
+    const statusReport = await buildStatusReport({ sections: statusSections });
+    if (statusReport?.report) {
+      parts.push(statusReport.report);
+    } else {
+      console.error(`Status unavailable for scheduled report ${schedule.name}.`);
     }
   }
 
-  if (allowedUserId) {
-    try {
-      const user = await discordClient.users.fetch(allowedUserId);
-      await user.send(message);
-      return;
-    } catch (error) {
-      console.error('Failed to send report via DM.', error);
+  if (schedule.sections.includes('probes')) {
+    const probeSummary = formatProbeSummary(await probeMonitor.list());
+    if (probeSummary) {
+      parts.push(probeSummary);
     }
-  } else {
-    console.error('DISCORD_ALLOWED_USER_ID is missing; cannot send report.');
   }
-}
 
-function isValidExternalIp(ipAddress) {
-  return Boolean(ipAddress) && ipAddress !== 'unknown';
-}
+  const snapshot = await takeContainerSnapshot();
+  if (schedule.sections.includes('changes') && snapshot && lastRun?.snapshot) {
+    parts.push(formatContainerChanges(diffContainerSnapshots(lastRun.snapshot, snapshot), lastRun.at));
+  }
 
-function ensureStateDir(directory) {
-  try {
-    fs.mkdirSync(directory, { recursive: true });
-  } catch (error) {
-    console.error(`Failed to ensure state directory at ${directory}.`, error);
+  if (schedule.sections.includes('updates') && imageUpdateCheckEnabled) {
+    for (const host of hostContexts.values()) {
+      const updateDigest = formatUpdateDigest(await host.imageUpdates.readResults());
+      if (updateDigest) {
+        parts.push(isMultiHost ? `🖥️ **${host.name}**\n${updateDigest}` : updateDigest);
+      }
+    }
   }
+
+  if (schedule.sections.includes('alerts')) {
+    const firing = (await alertEngine.list()).filter(({ state }) => state.status === 'firing');
+    parts.push(
+      firing.length ? `🚨 **Firing alerts**\n${formatAlertList(firing)}` : '✅ No alerts firing.'
+    );
+  }
+
+  // A schedule's own channel goes through the notifier too. A message Discord
+  // does not take now waits in the outbox and is retried there, so the run
+  // still counts as sent; only building the report can fail it.
+  const target = schedule.channelId
+    ? { name: `report:${schedule.name}`, type: 'discord', channelId: schedule.channelId }
+    : null;
+  for (const message of packMessages(parts)) {
+    await notifier.notify(message, { target });
+  }
+  return snapshot;
 }
 
-async function getExternalIpAddress() {
+// Keys are container names, prefixed with the host name when there are
+// several hosts. Any unreachable host skips the diff for this run rather than
+// reporting all of its containers as stopped.
+async function takeContainerSnapshot() {
   try {
-    const response = await fetch('https://api.ipify.org?format=text');
-    if (!response.ok) {
-      throw new Error(`Unexpected response ${response.status}`);
-    }
-    const ipAddress = (await response.text()).trim();
-    return ipAddress || 'unknown';
+    const hostEntries = await Promise.all(
+      [...hostContexts.values()].map(async ({ name: hostName, docker }) => {
+        const summaries = await docker.listContainers({ all: true });
+        return Promise.all(
+          summaries.map(async (summary) => {
+            const name = (summary.Names?.[0] || summary.Id).replace(/^\//, '');
+            // StartedAt is only in the inspect output; it is what reveals a restart.
+            const details =
+              summary.State === 'running' ? await docker.getContainer(summary.Id).inspect() : null;
+            return [
+              isMultiHost ? `${hostName}/${name}` : name,
+              { state: summary.State, startedAt: details?.State?.StartedAt ?? null },
+            ];
+          })
+        );
+      })
+    );
+    return Object.fromEntries(hostEntries.flat());
   } catch (error) {
-    console.error('Failed to fetch external IP.', error);
-    return 'unknown';
+    console.error('Failed to snapshot containers.', error);
+    return null;
   }
 }
 
-async function readLastExternalIp(filePath) {
-  try {
-    const saved = await fs.promises.readFile(filePath, 'utf8');
-    const trimmed = saved.trim();
-    return trimmed.length ? trimmed : null;
-  } catch (error) {
-    if (error?.code !== 'ENOENT') {
-      console.error('Failed to read last external IP.', error);
+async function handleExternalIpChange(change) {
+  await sendExternalIpChangeAlert(change);
+  await ddns.sync(await externalIp.current());
+}
+
+async function sendExternalIpChangeAlert({ family, previous, address }) {
+  const label = family === 'v4' ? 'External IP' : `External ${familyLabel(family)}`;
+  const alertMessage = `⚠️ **${label} changed**\n\`${previous}\` → \`${address}\``;
+  await sendReportMessage(alertMessage, { severity: 'warning' });
+}
+
+async function sendReportMessage(message, { severity = 'info' } = {}) {
+  await notifier.notify(message, { severity });
+}
+
+async function deliverToDiscord(sink, message) {
+  if (!client.isReady()) {
+    throw new Error('Discord client is not connected.');
+  }
+
+  // Notifications name users (audit mirror, alert acks) without pinging them.
+  const payload = { content: message, allowedMentions: { parse: [] } };
+  const channelId = sink.channelId ?? reportChannelId;
+  if (channelId) {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      if (channel?.isTextBased()) {
+        await channel.send(payload);
+        return;
+      }
+      console.error(`Channel ${channelId} is not text-based.`);
+    } catch (error) {
+      console.error(`Failed to send report to channel ${channelId}.`, error);
     }
-    return null;
   }
+
+  const userId = sink.userId ?? allowedUserId;
+  if (!userId) {
+    throw new Error('No report channel or DM recipient configured.');
+  }
+  const user = await client.users.fetch(userId);
+  await user.send(payload);
+}
+
+function parseNonNegativeInteger(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
 }
 
-async function writeLastExternalIp(filePath, ipAddress) {
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function parseKeyValueList(value) {
+  return Object.fromEntries(
+    parseList(value)
+      .map((entry) => {
+        const separator = entry.indexOf('=');
+        return separator === -1
+          ? null
+          : [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+      })
+      .filter(Boolean)
+  );
+}
+
+function ensureStateDir(directory) {
   try {
-    await fs.promises.writeFile(filePath, `${ipAddress}\n`, 'utf8');
+    fs.mkdirSync(directory, { recursive: true });
   } catch (error) {
-    console.error('Failed to write last external IP.', error);
+    console.error(`Failed to ensure state directory at ${directory}.`, error);
   }
 }
 
@@ -0,0 +1,71 @@
+import { AttachmentBuilder } from 'discord.js';
+import { gzipSync } from 'node:zlib';
+
+// Replies that may not fit in one Discord message. Short output is sent
+// inline; longer output keeps as much as fits inline and attaches the full
+// text as a file, gzipped once it is large.
+
+export const MESSAGE_LIMIT = 1900;
+const GZIP_THRESHOLD_BYTES = 1024 * 1024;
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+
+export function buildTextAttachment(text, fileName) {
+  let data = Buffer.from(text, 'utf8');
+  if (data.length <= GZIP_THRESHOLD_BYTES) {
+    return new AttachmentBuilder(data, { name: fileName });
+  }
+
+  let compressed = gzipSync(data);
+  // Past the upload limit even compressed, keep the newest half until it fits.
+  while (compressed.length > MAX_ATTACHMENT_BYTES) {
+    data = data.subarray(Math.floor(data.length / 2));
+    compressed = gzipSync(Buffer.concat([Buffer.from('[earlier output omitted]\n'), data]));
+  }
+  return new AttachmentBuilder(compressed, { name: `${fileName}.gz` });
+}
+
+// Lists and reports: the first lines inline, everything in the attachment.
+export function linesReply(lines, { fileName }) {
+  const text = lines.join('\n');
+  if (text.length <= MESSAGE_LIMIT) {
+    return { content: text };
+  }
+
+  const kept = [];
+  let used = 0;
+  for (const line of lines) {
+    const note = `…and ${lines.length - kept.length} more (full output attached)`;
+    const lineLength = (kept.length ? 1 : 0) + line.length;
+    if (used + lineLength + 1 + note.length > MESSAGE_LIMIT) break;
+    kept.push(line);
+    used += lineLength;
+  }
+  kept.push(`…and ${lines.length - kept.length} more (full output attached)`);
+  return { content: kept.join('\n'), files: [buildTextAttachment(text, fileName)] };
+}
+
+// Raw output such as logs: a code block when it fits, otherwise only the
+// summary line and the attachment.
+export function codeBlockReply(text, { fileName, summary }) {
+  const inline = `${summary}\n\`\`\`\n${text}\n\`\`\``;
+  if (inline.length <= MESSAGE_LIMIT) {
+    return { content: inline };
+  }
+  return { content: summary, files: [buildTextAttachment(text, fileName)] };
+}
+
+// Joins report sections into as few messages as possible, only splitting
+// between sections.
+export function packMessages(parts, maxLength = MESSAGE_LIMIT) {
+  const messages = [];
+  for (const part of parts) {
+    const text = part.length > maxLength ? `${part.slice(0, maxLength - 1)}…` : part;
+    const last = messages.at(-1);
+    if (last !== undefined && last.length + 2 + text.length <= maxLength) {
+      messages[messages.length - 1] = `${last}\n\n${text}`;
+    } else {
+      messages.push(text);
+    }
+  }
+  return messages;
+}
@@ -0,0 +1,111 @@
+import fs from 'node:fs';
+
+// Maintenance windows. While one is open, alerts for the listed containers
+// (or all alerts, when no containers are listed) are not sent and status
+// reports say the homelab is in maintenance. The window is kept in
+// maintenance.json in BOT_STATE_DIR so it survives a restart, and the report
+// channel hears when it ends.
+//
+// { "until": "2024-05-01T10:00:00.000Z", "containers": ["plex", "sonarr"],
+//   "startedBy": "alice", "startedAt": "2024-05-01T09:00:00.000Z" }
+
+// setTimeout fires immediately for delays above this, so long windows re-arm.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+export function createMaintenanceWindow({ statePath, notify }) {
+  let window = loadWindow();
+  let timer = null;
+
+  function loadWindow() {
+    try {
+      return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error('Failed to read maintenance window.', error);
+      }
+      return null;
+    }
+  }
+
+  async function saveWindow() {
+    try {
+      if (window) {
+        await fs.promises.writeFile(statePath, `${JSON.stringify(window, null, 2)}\n`, 'utf8');
+      } else {
+        await fs.promises.rm(statePath, { force: true });
+      }
+    } catch (error) {
+      console.error('Failed to write maintenance window.', error);
+    }
+  }
+
+  function current() {
+    return window && Date.parse(window.until) > Date.now() ? window : null;
+  }
+
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    if (!window) return;
+    const remainingMs = Date.parse(window.until) - Date.now();
+    timer = setTimeout(
+      remainingMs > MAX_TIMER_MS ? arm : expire,
+      Math.min(Math.max(remainingMs, 0), MAX_TIMER_MS)
+    );
+  }
+
+  async function expire() {
+    const ended = window;
+    window = null;
+    timer = null;
+    await saveWindow();
+    try {
+      await notify(`🛠️ **Maintenance window ended** (${formatScope(ended)}); alerts are back on.`);
+    } catch (error) {
+      console.error('Failed to send maintenance notification.', error);
+    }
+  }
+
+  return {
+    // Picks up a window left open by the previous run.
+    start() {
+      arm();
+    },
+    current,
+    // Replaces any open window.
+    async open({ durationMs, containers = [], startedBy }) {
+      window = {
+        until: new Date(Date.now() + durationMs).toISOString(),
+        containers: [...new Set(containers)],
+        startedBy,
+        startedAt: new Date().toISOString(),
+      };
+      await saveWindow();
+      arm();
+      return window;
+    },
+    async close() {
+      const closed = current();
+      window = null;
+      arm();
+      await saveWindow();
+      return closed;
+    },
+    // Probes count by name. Host alerts and rules without a container are
+    // only muted by a window that covers everything.
+    covers(containerName) {
+      const active = current();
+      if (!active) return false;
+      return !active.containers.length || active.containers.includes(containerName);
+    },
+  };
+}
+
+export function formatMaintenance(window) {
+  const until = Math.floor(Date.parse(window.until) / 1000);
+  return `🛠️ **In maintenance** until <t:${until}:f> (<t:${until}:R>) — ${formatScope(window)}`;
+}
+
+function formatScope(window) {
+  return window.containers.length ? window.containers.join(', ') : 'all alerts muted';
+}
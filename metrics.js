@@ -0,0 +1,128 @@
+// A small Prometheus registry for the bot's own metrics, rendered in the text
+// exposition format. Counters and histograms are kept in memory (they reset on
+// restart, which Prometheus handles); gauges that describe the outside world
+// are read by collectors at scrape time instead of being kept up to date.
+
+export const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+export function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+  const collectors = [];
+
+  function register(type, name, help, extra = {}) {
+    const metric = { type, name: `${prefix}${name}`, help, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, create) {
+    const key = labelKey(labels);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { labels: { ...labels }, ...create() };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  return {
+    counter(name, help) {
+      const metric = register('counter', name, help);
+      return {
+        inc(labels = {}, amount = 1) {
+          seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+        },
+      };
+    },
+    histogram(name, help, buckets = DEFAULT_DURATION_BUCKETS) {
+      const metric = register('histogram', name, help, { buckets });
+      return {
+        observe(labels, value) {
+          const series = seriesFor(metric, labels, () => ({
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          }));
+          buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index] += 1;
+          });
+          series.sum += value;
+          series.count += 1;
+        },
+      };
+    },
+    // A collector resolves with [{ name, help, type, samples: [{ labels, value }] }].
+    // One that fails is logged and left out of that scrape.
+    collect(collector) {
+      collectors.push(collector);
+    },
+    async render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(...formatHeader(metric));
+        for (const series of metric.series.values()) {
+          if (metric.type === 'histogram') {
+            lines.push(...formatHistogram(metric, series));
+          } else {
+            lines.push(formatSample(metric.name, series.labels, series.value));
+          }
+        }
+      }
+
+      const collected = await Promise.all(
+        collectors.map((collector) =>
+          Promise.resolve()
+            .then(collector)
+            .catch((error) => {
+              console.error('Failed to collect metrics.', error);
+              return [];
+            })
+        )
+      );
+      for (const metric of collected.flat()) {
+        const name = `${prefix}${metric.name}`;
+        lines.push(...formatHeader({ ...metric, name }));
+        for (const sample of metric.samples) {
+          lines.push(formatSample(name, sample.labels, sample.value));
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+function formatHeader(metric) {
+  return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+}
+
+function formatHistogram(metric, series) {
+  const lines = metric.buckets.map((bound, index) =>
+    formatSample(`${metric.name}_bucket`, { ...series.labels, le: String(bound) }, series.counts[index])
+  );
+  lines.push(formatSample(`${metric.name}_bucket`, { ...series.labels, le: '+Inf' }, series.count));
+  lines.push(formatSample(`${metric.name}_sum`, series.labels, series.sum));
+  lines.push(formatSample(`${metric.name}_count`, series.labels, series.count));
+  return lines;
+}
+
+function formatSample(name, labels = {}, value) {
+  const entries = Object.entries(labels);
+  const labelText = entries.length
+    ? `{${entries.map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`).join(',')}}`
+    : '';
+  return `${name}${labelText} ${formatValue(value)}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
@@ -0,0 +1,296 @@
+import fs from 'node:fs';
+
+// Fans notifications out to the configured sinks. Anything a sink fails to
+// deliver goes into a persisted outbox and is retried with exponential
+// backoff, so alerts raised while Discord (or the network) is down are
+// delivered once it comes back. Sinks come from notifications.json in
+// BOT_STATE_DIR, re-read whenever the file changes:
+//
+// {
+//   "sinks": [
+//     { "name": "alerts", "type": "discord", "channelId": "123", "severities": ["critical", "warning"] },
+//     { "name": "reports", "type": "discord", "channelId": "456", "severities": ["info"] },
+//     { "name": "phone", "type": "ntfy", "url": "https://ntfy.sh/my-homelab", "severities": ["critical"] },
+//     { "name": "gotify", "type": "gotify", "url": "https://gotify.lan", "token": "..." },
+//     { "name": "hook", "type": "webhook", "url": "https://example.com/hook", "headers": {} },
+//     { "name": "log", "type": "file", "path": "/data/notifications.log" },
+//     { "name": "console", "type": "stdout" }
+//   ]
+// }
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const OUTBOX_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const NTFY_PRIORITIES = { info: 3, warning: 4, critical: 5 };
+const GOTIFY_PRIORITIES = { info: 2, warning: 5, critical: 8 };
+
+export function createNotifier({
+  configPath,
+  outboxPath,
+  handlers = {},
+  defaultSinks = [],
+  fetchImpl = fetch,
+  retryIntervalMs = 30 * 1000,
+}) {
+  const sinkHandlers = {
+    webhook: deliverWebhook,
+    ntfy: deliverNtfy,
+    gotify: deliverGotify,
+    file: deliverFile,
+    stdout: deliverStdout,
+    ...handlers,
+  };
+  let cachedSinks = null;
+  let cachedMtimeMs = null;
+  let outbox = loadOutbox();
+  let flushing = null;
+  let retryTimer = null;
+
+  function getSinks() {
+    let stats;
+    try {
+      stats = fs.statSync(configPath);
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Failed to read notification config at ${configPath}.`, error);
+      }
+      return defaultSinks;
+    }
+    if (cachedSinks && stats.mtimeMs === cachedMtimeMs) {
+      return cachedSinks;
+    }
+
+    cachedMtimeMs = stats.mtimeMs;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      cachedSinks = (parsed?.sinks ?? []).filter((sink) => {
+        if (sink?.name && sinkHandlers[sink.type]) return true;
+        console.error(`Skipping invalid notification sink ${JSON.stringify(sink)}.`);
+        return false;
+      });
+      console.log(`Loaded ${cachedSinks.length} notification sinks from ${configPath}.`);
+    } catch (error) {
+      console.error(`Invalid notification config at ${configPath}; keeping previous sinks.`, error);
+    }
+    return cachedSinks ?? defaultSinks;
+  }
+
+  function loadOutbox() {
+    try {
+      return JSON.parse(fs.readFileSync(outboxPath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error('Failed to read notification outbox.', error);
+      }
+      return [];
+    }
+  }
+
+  async function saveOutbox() {
+    try {
+      await fs.promises.writeFile(outboxPath, `${JSON.stringify(outbox, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write notification outbox.', error);
+    }
+  }
+
+  async function deliver(sink, notification) {
+    await sinkHandlers[sink.type](sink, notification);
+  }
+
+  // Targets passed to notify() are not in the config, so their entries carry
+  // the sink itself.
+  function enqueue(sink, notification, error, attempts = 1, target = false) {
+    outbox.push({
+      sinkName: sink.name,
+      ...(target ? { sink } : {}),
+      notification,
+      attempts,
+      nextAttemptAt: attempts ? Date.now() + backoffDelay(attempts) : Date.now(),
+      lastError: error?.message ?? String(error),
+    });
+  }
+
+  async function flushOutbox() {
+    const sinks = new Map(getSinks().map((sink) => [sink.name, sink]));
+    const now = Date.now();
+    const blockedSinks = new Set();
+    const remaining = [];
+
+    for (const entry of outbox) {
+      const sink = entry.sink ?? sinks.get(entry.sinkName);
+      const expired = now - new Date(entry.notification.createdAt).getTime() > OUTBOX_MAX_AGE_MS;
+      if (!sink || expired) {
+        console.error(`Dropping undeliverable notification for sink ${entry.sinkName}.`);
+        continue;
+      }
+      // Keep per-sink ordering: once one entry is waiting or fails, later ones wait too.
+      if (blockedSinks.has(sink.name) || entry.nextAttemptAt > now) {
+        blockedSinks.add(sink.name);
+        remaining.push(entry);
+        continue;
+      }
+      try {
+        await deliver(sink, entry.notification);
+      } catch (error) {
+        entry.attempts += 1;
+        entry.nextAttemptAt = Date.now() + backoffDelay(entry.attempts);
+        entry.lastError = error?.message ?? String(error);
+        blockedSinks.add(sink.name);
+        remaining.push(entry);
+      }
+    }
+
+    const changed = remaining.length !== outbox.length || blockedSinks.size > 0;
+    outbox = remaining;
+    if (changed) {
+      await saveOutbox();
+    }
+  }
+
+  function flush() {
+    if (!flushing) {
+      flushing = flushOutbox()
+        .catch((error) => console.error('Failed to flush notification outbox.', error))
+        .finally(() => {
+          flushing = null;
+        });
+    }
+    return flushing;
+  }
+
+  return {
+    // A `target` sink (e.g. a report schedule's own channel) replaces the
+    // configured sinks for this notification but gets the same retries.
+    async notify(message, { severity = 'info', target = null } = {}) {
+      if (target && !sinkHandlers[target.type]) {
+        throw new Error(`Unknown notification sink type ${target.type}.`);
+      }
+      const notification = { message, severity, createdAt: new Date().toISOString() };
+      const sinks = target
+        ? [target]
+        : getSinks().filter((sink) => !sink.severities || sink.severities.includes(severity));
+      if (!sinks.length) {
+        console.error(`No notification sink accepts ${severity} messages; dropping notification.`);
+        return;
+      }
+
+      let queued = false;
+      for (const sink of sinks) {
+        // Queue behind anything still waiting for this sink to preserve ordering.
+        if (outbox.some((entry) => entry.sinkName === sink.name)) {
+          enqueue(
+            sink,
+            notification,
+            new Error('queued behind earlier notifications'),
+            0,
+            Boolean(target)
+          );
+          queued = true;
+          continue;
+        }
+        try {
+          await deliver(sink, notification);
+        } catch (error) {
+          console.error(`Notification sink ${sink.name} failed; queued for retry.`, error);
+          enqueue(sink, notification, error, 1, Boolean(target));
+          queued = true;
+        }
+      }
+      if (queued) {
+        await saveOutbox();
+      }
+    },
+    flush,
+    start() {
+      if (retryTimer) return;
+      retryTimer = setInterval(() => {
+        if (outbox.length) flush();
+      }, retryIntervalMs);
+      retryTimer.unref?.();
+    },
+    stop() {
+      clearInterval(retryTimer);
+      retryTimer = null;
+    },
+    pendingCount() {
+      return outbox.length;
+    },
+  };
+
+  async function postJson(url, body, headers = {}) {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`${url} responded ${response.status}`);
+    }
+  }
+
+  async function deliverWebhook(sink, notification) {
+    await postJson(
+      sink.url,
+      {
+        source: 'discord-homelab-bot',
+        severity: notification.severity,
+        message: notification.message,
+        timestamp: notification.createdAt,
+      },
+      sink.headers
+    );
+  }
+
+  async function deliverNtfy(sink, notification) {
+    const headers = {
+      Title: sink.title || 'Homelab',
+      Priority: String(NTFY_PRIORITIES[notification.severity] ?? 3),
+      Tags: notification.severity,
+      Markdown: 'yes',
+    };
+    if (sink.token) headers.Authorization = `Bearer ${sink.token}`;
+    const response = await fetchImpl(sink.url, {
+      method: 'POST',
+      headers,
+      body: notification.message,
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`${sink.url} responded ${response.status}`);
+    }
+  }
+
+  async function deliverGotify(sink, notification) {
+    const url = sink.url.replace(/\/+$/, '').endsWith('/message')
+      ? sink.url
+      : `${sink.url.replace(/\/+$/, '')}/message`;
+    await postJson(
+      url,
+      {
+        title: sink.title || 'Homelab',
+        message: notification.message,
+        priority: GOTIFY_PRIORITIES[notification.severity] ?? 2,
+        extras: { 'client::display': { contentType: 'text/markdown' } },
+      },
+      { 'X-Gotify-Key': sink.token }
+    );
+  }
+}
+
+async function deliverFile(sink, notification) {
+  const line = `${notification.createdAt} [${notification.severity}] ${notification.message.replace(/\n/g, '\n  ')}\n`;
+  await fs.promises.appendFile(sink.path, line, 'utf8');
+}
+
+async function deliverStdout(sink, notification) {
+  console.log(`[notification:${notification.severity}] ${notification.message}`);
+}
+
+function backoffDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
@@ -0,0 +1,177 @@
+import fs from 'node:fs';
+
+// Maps Discord users and roles to command tiers, with optional per-tier
+// container allow/deny patterns. The config lives in permissions.json in
+// BOT_STATE_DIR and is re-read whenever the file changes. Without the file,
+// DISCORD_ALLOWED_USER_ID is the only admin (or everyone is, if unset) and
+// DISCORD_ALLOWED_CHANNEL_ID still restricts channels unless "channels" is set.
+//
+// {
+//   "defaultTier": "none",
+//   "channels": ["123456789012345678"],
+//   "users": { "123456789012345678": "admin" },
+//   "roles": { "234567890123456789": "operator", "345678901234567890": "read-only" },
+//   "containers": {
+//     "operator": { "allow": ["media-*"], "deny": ["pihole"] }
+//   }
+// }
+
+export const PERMISSION_TIERS = ['none', 'read-only', 'operator', 'admin'];
+
+// commandTiers maps 'command' and 'command subcommand' to the tier they need,
+// as declared by the command modules; anything unlisted needs admin.
+export function createPermissionGate({ filePath, commandTiers, legacyUserId, legacyChannelId }) {
+  const legacyConfig = normalizeConfig({
+    defaultTier: legacyUserId ? 'none' : 'admin',
+    channels: legacyChannelId ? [legacyChannelId] : [],
+    users: legacyUserId ? { [legacyUserId]: 'admin' } : {},
+  });
+  // An unreadable or invalid file denies everything rather than falling back
+  // to the legacy config, which makes everyone admin without a user ID.
+  const lockedConfig = normalizeConfig({ defaultTier: 'none', channels: legacyConfig.channels });
+  let cachedConfig = null;
+  let cachedMtimeMs = null;
+
+  function getConfig() {
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      cachedConfig = null;
+      cachedMtimeMs = null;
+      if (error?.code !== 'ENOENT') {
+        console.error(`Failed to read permission config at ${filePath}; denying all commands.`, error);
+        return lockedConfig;
+      }
+      return legacyConfig;
+    }
+
+    if (cachedConfig && stats.mtimeMs === cachedMtimeMs) {
+      return cachedConfig;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      cachedConfig = normalizeConfig(parsed);
+      if (!Array.isArray(parsed?.channels)) {
+        cachedConfig.channels = legacyConfig.channels;
+      }
+      cachedMtimeMs = stats.mtimeMs;
+      console.log(`Loaded permission config from ${filePath}.`);
+    } catch (error) {
+      console.error(
+        `Invalid permission config at ${filePath}; ${
+          cachedConfig ? 'keeping previous rules' : 'denying all commands'
+        }.`,
+        error
+      );
+      cachedConfig ??= lockedConfig;
+      cachedMtimeMs = stats.mtimeMs;
+    }
+    return cachedConfig;
+  }
+
+  return {
+    check({ commandName, subcommandName, userId, roleIds = [], channelId, containerName }) {
+      const config = getConfig();
+      if (config.channels.length && !config.channels.includes(channelId)) {
+        return { allowed: false, message: 'Commands are not permitted in this channel.' };
+      }
+
+      const tier = resolveTier(config, userId, roleIds);
+      const fullName = subcommandName ? `${commandName} ${subcommandName}` : commandName;
+      const requiredTier = commandTiers[fullName] ?? commandTiers[commandName] ?? 'admin';
+      if (tierRank(tier) < tierRank(requiredTier)) {
+        return { allowed: false, message: `You are not permitted to use /${fullName}.` };
+      }
+
+      if (containerName && !isContainerPermitted(config, tier, containerName)) {
+        return {
+          allowed: false,
+          message: `You are not permitted to use /${fullName} on ${containerName}.`,
+        };
+      }
+
+      return { allowed: true, tier };
+    },
+    resolveTier(userId, roleIds = []) {
+      return resolveTier(getConfig(), userId, roleIds);
+    },
+  };
+}
+
+export function getInteractionRoleIds(interaction) {
+  const roles = interaction.member?.roles;
+  if (!roles) return [];
+  if (Array.isArray(roles)) return roles;
+  return [...(roles.cache?.keys() ?? [])];
+}
+
+function normalizeConfig(raw) {
+  const config = raw && typeof raw === 'object' ? raw : {};
+  return {
+    defaultTier: normalizeTier(config.defaultTier, 'none'),
+    channels: Array.isArray(config.channels) ? config.channels.map(String) : [],
+    users: normalizeTierMap(config.users),
+    roles: normalizeTierMap(config.roles),
+    containers: Object.fromEntries(
+      Object.entries(config.containers ?? {}).map(([tier, rules]) => [
+        normalizeTier(tier, tier),
+        {
+          allow: (rules?.allow ?? []).map(patternToRegExp),
+          deny: (rules?.deny ?? []).map(patternToRegExp),
+        },
+      ])
+    ),
+  };
+}
+
+function normalizeTierMap(entries) {
+  return Object.fromEntries(
+    Object.entries(entries ?? {}).map(([id, tier]) => [String(id), normalizeTier(tier, 'none')])
+  );
+}
+
+function normalizeTier(tier, fallback) {
+  const normalized = String(tier ?? '')
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-');
+  if (normalized === 'readonly' || normalized === 'read') return 'read-only';
+  return PERMISSION_TIERS.includes(normalized) ? normalized : fallback;
+}
+
+function resolveTier(config, userId, roleIds) {
+  const candidates = [config.defaultTier, config.users[userId]];
+  for (const roleId of roleIds) {
+    candidates.push(config.roles[roleId]);
+  }
+  return candidates
+    .filter(Boolean)
+    .reduce((best, tier) => (tierRank(tier) > tierRank(best) ? tier : best), 'none');
+}
+
+function tierRank(tier) {
+  return PERMISSION_TIERS.indexOf(tier);
+}
+
+function isContainerPermitted(config, tier, containerName) {
+  const rules = config.containers[tier];
+  if (!rules) return true;
+  if (rules.deny.some((pattern) => pattern.test(containerName))) return false;
+  if (rules.allow.length && !rules.allow.some((pattern) => pattern.test(containerName))) {
+    return false;
+  }
+  return true;
+}
+
+export function patternToRegExp(pattern) {
+  const escaped = String(pattern)
+    .split('')
+    .map((character) => {
+      if (character === '*') return '.*';
+      if (character === '?') return '.';
+      return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${escaped}$`, 'i');
+}
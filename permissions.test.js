@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { createPermissionGate } from './permissions.js';
+
+const commandTiers = { ping: 'read-only', exec: 'operator', docker: 'admin' };
+
+function createGate(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'permissions-'));
+  const filePath = path.join(dir, 'permissions.json');
+  if (contents !== undefined) fs.writeFileSync(filePath, contents);
+  return {
+    filePath,
+    gate: createPermissionGate({ filePath, commandTiers, legacyUserId: undefined }),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+test('without permissions.json and a user ID everyone is admin', (t) => {
+  const { gate, cleanup } = createGate();
+  t.after(cleanup);
+  assert.equal(gate.check({ commandName: 'docker', userId: '1' }).allowed, true);
+});
+
+test('an invalid permissions.json denies everything instead of falling back', (t) => {
+  const { gate, cleanup } = createGate('{ "defaultTier": "none", ');
+  t.after(cleanup);
+  t.mock.method(console, 'error', () => {});
+  for (const commandName of ['ping', 'exec', 'docker']) {
+    assert.equal(gate.check({ commandName, userId: '1' }).allowed, false, commandName);
+  }
+  assert.equal(gate.resolveTier('1'), 'none');
+});
+
+test('a later bad edit keeps the rules that last loaded', (t) => {
+  const { gate, filePath, cleanup } = createGate('{ "users": { "1": "operator" } }');
+  t.after(cleanup);
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  assert.equal(gate.resolveTier('1'), 'operator');
+
+  fs.writeFileSync(filePath, 'not json');
+  fs.utimesSync(filePath, new Date(), new Date(Date.now() + 1000));
+  assert.equal(gate.resolveTier('1'), 'operator');
+  assert.equal(gate.check({ commandName: 'docker', userId: '2' }).allowed, false);
+});
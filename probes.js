@@ -0,0 +1,386 @@
+import { execFile } from 'node:child_process';
+import dns from 'node:dns';
+import fs from 'node:fs';
+import net from 'node:net';
+import { parseDuration } from './duration.js';
+
+// Service probes: a running container does not mean the service answers.
+// Probes come from probes.json in BOT_STATE_DIR and are re-read on every tick,
+// so edits apply without a restart. Current state and hourly availability
+// buckets for the last week live in probe-history.json.
+//
+// {
+//   "probes": [
+//     { "name": "jellyfin", "type": "http", "url": "http://192.168.1.10:8096/health",
+//       "keyword": "Healthy", "interval": "1m" },
+//     { "name": "home-assistant", "type": "http", "url": "https://ha.example.com",
+//       "expectStatus": [200, 401], "severity": "critical" },
+//     { "name": "postgres", "type": "tcp", "host": "192.168.1.10", "port": 5432 },
+//     { "name": "pihole", "type": "dns", "hostname": "example.com", "server": "192.168.1.2" },
+//     { "name": "router", "type": "ping", "host": "192.168.1.1", "interval": "30s" }
+//   ]
+// }
+
+export const PROBE_TYPES = ['http', 'tcp', 'dns', 'ping'];
+
+const TICK_MS = 10 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const HISTORY_MS = 7 * 24 * HOUR_MS;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+// Consecutive failures before a probe counts as down, so one dropped packet
+// does not page anyone.
+const DEFAULT_DOWN_AFTER = 2;
+
+export function createProbeMonitor({
+  configPath,
+  statePath,
+  notify,
+  onAlert,
+  isMuted,
+  fetchImpl = fetch,
+}) {
+  let state = null;
+  let timer = null;
+  let running = null;
+
+  async function loadState() {
+    if (state) return state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error('Failed to read probe history.', error);
+      }
+      state = {};
+    }
+    return state;
+  }
+
+  async function saveState() {
+    try {
+      await fs.promises.writeFile(statePath, `${JSON.stringify(state)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write probe history.', error);
+    }
+  }
+
+  async function loadProbes() {
+    let raw;
+    try {
+      raw = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Invalid probes at ${configPath}.`, error);
+      }
+      return [];
+    }
+
+    const probes = [];
+    for (const probe of raw?.probes ?? []) {
+      const problem = validateProbe(probe);
+      if (problem) {
+        console.error(`Skipping probe ${JSON.stringify(probe)}: ${problem}`);
+        continue;
+      }
+      if (probe.enabled === false) continue;
+      probes.push({
+        ...probe,
+        severity: probe.severity || 'warning',
+        intervalMs: parseDuration(probe.interval) || DEFAULT_INTERVAL_MS,
+        timeoutMs: parseDuration(probe.timeout) || DEFAULT_TIMEOUT_MS,
+        downAfter: Number(probe.downAfter) || DEFAULT_DOWN_AFTER,
+      });
+    }
+    return probes;
+  }
+
+  async function runDueProbes() {
+    const probes = await loadProbes();
+    await loadState();
+    const now = Date.now();
+    const due = probes.filter(
+      (probe) => !state[probe.name]?.checkedAt || now - state[probe.name].checkedAt >= probe.intervalMs
+    );
+
+    const results = await Promise.all(due.map((probe) => runProbe(probe, { fetchImpl })));
+    for (const [index, probe] of due.entries()) {
+      await applyResult(probe, results[index]);
+    }
+
+    // Forget probes that were removed from the config.
+    const names = new Set(probes.map((probe) => probe.name));
+    let removed = false;
+    for (const name of Object.keys(state)) {
+      if (!names.has(name)) {
+        delete state[name];
+        removed = true;
+      }
+    }
+    if (due.length || removed) {
+      await saveState();
+    }
+  }
+
+  async function applyResult(probe, result) {
+    const now = Date.now();
+    const probeState = state[probe.name] ?? { status: 'unknown', failures: 0, hours: [] };
+    state[probe.name] = probeState;
+    probeState.checkedAt = now;
+    probeState.latencyMs = result.latencyMs;
+    probeState.detail = result.detail;
+    probeState.failures = result.ok ? 0 : probeState.failures + 1;
+    recordSample(probeState, now, result.ok);
+
+    let status = probeState.status;
+    if (result.ok) {
+      status = 'up';
+    } else if (probeState.failures >= probe.downAfter) {
+      status = 'down';
+    }
+    if (status === probeState.status) return;
+
+    const previous = probeState.status;
+    const previousSince = probeState.since;
+    probeState.status = status;
+    probeState.since = now;
+    // Maintenance mutes the message, not the state change.
+    const muted = isMuted?.(probe.name);
+    if (status === 'down') {
+      onAlert?.(probe.name);
+      if (!muted) await send(`🔴 **Probe down: ${probe.name}** — ${result.detail}`, probe.severity);
+    } else if (previous === 'down' && !muted) {
+      const downFor = previousSince ? ` after ${formatShortDuration(now - previousSince)}` : '';
+      await send(`🟢 **Probe up: ${probe.name}**${downFor} — ${result.detail}`, probe.severity);
+    }
+  }
+
+  async function send(message, severity) {
+    try {
+      await notify(message, { severity });
+    } catch (error) {
+      console.error('Failed to send probe notification.', error);
+    }
+  }
+
+  function tick() {
+    // A slow probe can outlast the tick; skip instead of piling up.
+    if (running) return running;
+    running = runDueProbes()
+      .catch((error) => {
+        console.error('Failed to run probes.', error);
+      })
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, TICK_MS);
+      tick();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    runDue: tick,
+    async list() {
+      const probes = await loadProbes();
+      await loadState();
+      const now = Date.now();
+      return probes.map((probe) => {
+        const probeState = state[probe.name] ?? { status: 'unknown', hours: [] };
+        return {
+          probe,
+          state: probeState,
+          availability: {
+            day: availability(probeState.hours, now - 24 * HOUR_MS),
+            week: availability(probeState.hours, now - HISTORY_MS),
+          },
+        };
+      });
+    },
+    async names() {
+      return (await loadProbes()).map((probe) => probe.name);
+    },
+  };
+}
+
+export function validateProbe(probe) {
+  if (!probe?.name) return 'Probes need a name.';
+  if (!PROBE_TYPES.includes(probe.type)) {
+    return `Unknown type '${probe.type}'. Use ${PROBE_TYPES.join(', ')}.`;
+  }
+  if (probe.type === 'http' && !/^https?:\/\//i.test(probe.url ?? '')) {
+    return 'HTTP probes need an http:// or https:// url.';
+  }
+  if (probe.type === 'tcp' && (!probe.host || !Number.isInteger(Number(probe.port)))) {
+    return 'TCP probes need a host and port.';
+  }
+  if (probe.type === 'dns' && !probe.hostname) return 'DNS probes need a hostname.';
+  if (probe.type === 'ping' && !probe.host) return 'Ping probes need a host.';
+  return null;
+}
+
+// Resolves { ok, latencyMs, detail }; never rejects.
+export async function runProbe(probe, { fetchImpl = fetch } = {}) {
+  const startedAt = Date.now();
+  try {
+    const { ok, detail, latencyMs } = await PROBE_RUNNERS[probe.type](probe, fetchImpl);
+    return { ok, latencyMs: ok ? (latencyMs ?? Date.now() - startedAt) : null, detail };
+  } catch (error) {
+    return { ok: false, latencyMs: null, detail: describeError(error) };
+  }
+}
+
+const PROBE_RUNNERS = {
+  async http(probe, fetchImpl) {
+    const timeoutMs = probe.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    const response = await fetchImpl(probe.url, {
+      method: probe.method || 'GET',
+      headers: probe.headers,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const expected = probe.expectStatus === undefined ? null : [probe.expectStatus].flat().map(Number);
+    const statusOk = expected ? expected.includes(response.status) : response.ok;
+    if (!statusOk) {
+      await response.body?.cancel();
+      return { ok: false, detail: `HTTP ${response.status}` };
+    }
+    if (probe.keyword) {
+      const body = await response.text();
+      if (!body.includes(probe.keyword)) {
+        return { ok: false, detail: `HTTP ${response.status}, "${probe.keyword}" not found` };
+      }
+    } else {
+      await response.body?.cancel();
+    }
+    return { ok: true, detail: `HTTP ${response.status}` };
+  },
+  tcp(probe) {
+    const timeoutMs = probe.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: probe.host, port: Number(probe.port) });
+      socket.setTimeout(timeoutMs);
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve({ ok: true, detail: `port ${probe.port} open` });
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        reject(new Error(`timed out after ${formatShortDuration(timeoutMs)}`));
+      });
+      socket.once('error', reject);
+    });
+  },
+  async dns(probe) {
+    const timeoutMs = probe.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 1 });
+    if (probe.server) resolver.setServers([probe.server]);
+    const recordType = (probe.recordType || 'A').toUpperCase();
+    const records = (await resolver.resolve(probe.hostname, recordType)).map((record) =>
+      typeof record === 'string' ? record : JSON.stringify(record)
+    );
+    if (probe.expect && !records.includes(probe.expect)) {
+      return {
+        ok: false,
+        detail: `${recordType} ${records.join(', ') || 'none'}, expected ${probe.expect}`,
+      };
+    }
+    return { ok: true, detail: `${recordType} ${records.join(', ')}` };
+  },
+  ping(probe) {
+    const timeoutSeconds = Math.max(1, Math.round((probe.timeoutMs ?? DEFAULT_TIMEOUT_MS) / 1000));
+    return new Promise((resolve) => {
+      execFile(
+        'ping',
+        ['-c', '1', '-W', String(timeoutSeconds), probe.host],
+        { timeout: (timeoutSeconds + 2) * 1000 },
+        (error, stdout) => {
+          const time = stdout?.match(/time[=<]([\d.]+)\s*ms/);
+          if (error || !time) {
+            resolve({ ok: false, detail: `no reply from ${probe.host}` });
+            return;
+          }
+          resolve({ ok: true, latencyMs: Number(time[1]), detail: `reply from ${probe.host}` });
+        }
+      );
+    });
+  },
+};
+
+export function formatProbeList(entries) {
+  if (!entries.length) {
+    return 'No probes configured.';
+  }
+  return entries.map((entry) => formatProbeLine(entry)).join('\n');
+}
+
+// Report section: a headline plus only the probes that need attention.
+export function formatProbeSummary(entries) {
+  if (!entries.length) return null;
+  const up = entries.filter(({ state }) => state.status === 'up').length;
+  const lines = [`🩺 **Probes:** ${up}/${entries.length} up`];
+  for (const entry of entries) {
+    if (entry.state.status !== 'up' || (entry.availability.day ?? 100) < 100) {
+      lines.push(formatProbeLine(entry));
+    }
+  }
+  return lines.join('\n');
+}
+
+function formatProbeLine({ probe, state, availability: percentages }) {
+  const icons = { up: '🟢', down: '🔴', unknown: '⚪' };
+  const latency =
+    state.status === 'up' && state.latencyMs !== null ? ` ${Math.round(state.latencyMs)} ms` : '';
+  const since = state.since ? ` since <t:${Math.floor(state.since / 1000)}:R>` : '';
+  const detail = state.status === 'down' && state.detail ? ` — ${state.detail}` : '';
+  return `${icons[state.status] ?? '❔'} **${probe.name}** (${probe.type}) ${state.status}${latency}${since} · 24h ${formatPercent(percentages.day)} · 7d ${formatPercent(percentages.week)}${detail}`;
+}
+
+// Samples are counted per hour so a week of one-minute checks stays small.
+function recordSample(probeState, now, ok) {
+  const hourStart = now - (now % HOUR_MS);
+  const hours = probeState.hours ?? [];
+  const current = hours.at(-1);
+  if (current && current[0] === hourStart) {
+    current[1] += 1;
+    current[2] += ok ? 1 : 0;
+  } else {
+    hours.push([hourStart, 1, ok ? 1 : 0]);
+  }
+  probeState.hours = hours.filter(([start]) => start > now - HISTORY_MS - HOUR_MS);
+}
+
+function availability(hours, sinceMs) {
+  let checks = 0;
+  let up = 0;
+  for (const [start, count, upCount] of hours ?? []) {
+    if (start + HOUR_MS <= sinceMs) continue;
+    checks += count;
+    up += upCount;
+  }
+  return checks ? (up / checks) * 100 : null;
+}
+
+function formatPercent(value) {
+  if (value === null) return '—';
+  return value === 100 ? '100%' : `${value.toFixed(2)}%`;
+}
+
+function formatShortDuration(milliseconds) {
+  const seconds = Math.round(milliseconds / 1000);
+  if (seconds < 120) return `${seconds}s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 120) return `${minutes}m`;
+  return `${(minutes / 60).toFixed(1)}h`;
+}
+
+function describeError(error) {
+  if (error?.name === 'TimeoutError') return 'timed out';
+  const cause = error?.cause?.code ?? error?.code;
+  return cause ? `${error.message} (${cause})` : (error?.message ?? String(error));
+}
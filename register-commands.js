@@ -1,52 +1,30 @@
-import { REST, Routes, SlashCommandBuilder } from 'discord.js';
+import { REST, Routes } from 'discord.js';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createCommandRegistry } from './command-registry.js';
+import { COMMANDS } from './commands/index.js';
+
+// Registers the slash commands declared in commands/. The bot does this on
+// every start but only sends them to Discord when their definitions, the
+// scope or the application changed since the last registration, which is
+// remembered in command-registration.json in BOT_STATE_DIR. `npm run register`
+// always sends them.
 
 // Environment variables:
 // DISCORD_TOKEN (required)
 // DISCORD_CLIENT_ID (required)
 // DISCORD_GUILD_ID (required for guild-scoped registration)
 // DISCORD_REGISTER_GLOBAL (optional, set to 'true' for global registration)
+// BOT_STATE_DIR (optional)
 
-const commands = [
-  new SlashCommandBuilder().setName('help').setDescription('Show available commands'),
-  new SlashCommandBuilder().setName('ping').setDescription('Test bot responsiveness'),
-  new SlashCommandBuilder().setName('status').setDescription('Show homelab status'),
-  new SlashCommandBuilder().setName('containers').setDescription('List running containers'),
-  new SlashCommandBuilder().setName('uptime').setDescription('Show host + container uptime'),
-  new SlashCommandBuilder().setName('ip').setDescription('Show current homelab IP'),
-  new SlashCommandBuilder()
-    .setName('restart')
-    .setDescription('Restart a Docker container by name')
-    .addStringOption((option) =>
-      option.setName('container').setDescription('Container name').setRequired(true)
-    ),
-  new SlashCommandBuilder()
-    .setName('stop')
-    .setDescription('Stop a Docker container by name')
-    .addStringOption((option) =>
-      option.setName('container').setDescription('Container name').setRequired(true)
-    ),
-  new SlashCommandBuilder()
-    .setName('start')
-    .setDescription('Start a Docker container by name')
-    .addStringOption((option) =>
-      option.setName('container').setDescription('Container name').setRequired(true)
-    ),
-  new SlashCommandBuilder()
-    .setName('logs')
-    .setDescription('Show recent Docker logs')
-    .addStringOption((option) =>
-      option.setName('container').setDescription('Container name').setRequired(true)
-    )
-    .addIntegerOption((option) =>
-      option
-        .setName('lines')
-        .setDescription('Number of log lines (max 50)')
-        .setMinValue(1)
-        .setMaxValue(50)
-    ),
-];
-
-export async function registerCommands() {
+export async function registerCommands({
+  statePath = path.join(
+    process.env.BOT_STATE_DIR || path.join(process.cwd(), 'data'),
+    'command-registration.json'
+  ),
+  force = false,
+} = {}) {
   const token = process.env.DISCORD_TOKEN;
   const clientId = process.env.DISCORD_CLIENT_ID;
   const guildId = process.env.DISCORD_GUILD_ID;
@@ -62,16 +40,59 @@ export async function registerCommands() {
     throw new Error('DISCORD_GUILD_ID is required for guild command registration.');
   }
 
+  const registry = createCommandRegistry(COMMANDS);
+  const body = registry.toJSON();
+  const scope = registerGlobal ? 'global' : `guild ${guildId}`;
+  const registration = { hash: registry.hash(), scope, clientId };
+
+  const previous = readRegistration(statePath);
+  if (
+    !force &&
+    previous?.hash === registration.hash &&
+    previous.scope === registration.scope &&
+    previous.clientId === registration.clientId
+  ) {
+    return { count: body.length, scope, skipped: true };
+  }
+
   const rest = new REST({ version: '10' }).setToken(token);
   const route = registerGlobal
     ? Routes.applicationCommands(clientId)
     : Routes.applicationGuildCommands(clientId, guildId);
-  const body = commands.map((command) => command.toJSON());
-
   await rest.put(route, { body });
+  writeRegistration(statePath, { ...registration, registeredAt: new Date().toISOString() });
+
+  return { count: body.length, scope, skipped: false };
+}
+
+function readRegistration(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      console.error('Failed to read the last command registration.', error);
+    }
+    return null;
+  }
+}
+
+function writeRegistration(statePath, registration) {
+  try {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, `${JSON.stringify(registration, null, 2)}\n`, 'utf8');
+  } catch (error) {
+    console.error('Failed to record the command registration.', error);
+  }
+}
 
-  return {
-    count: body.length,
-    scope: registerGlobal ? 'global' : `guild ${guildId}`,
-  };
+// `npm run register` runs this file directly.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  registerCommands({ force: true })
+    .then(({ count, scope }) => {
+      console.log(`Registered ${count} slash commands (${scope}).`);
+    })
+    .catch((error) => {
+      console.error('Failed to register slash commands.', error);
+      process.exitCode = 1;
+    });
 }
@@ -0,0 +1,244 @@
+import fs from 'node:fs';
+import cron from 'node-cron';
+
+// Scheduled reports. Schedules live in report-schedules.json in BOT_STATE_DIR
+// and can be edited by hand (restart to apply) or through /schedule; when the
+// file does not exist yet the default schedule is used. The container
+// snapshot taken by each run is kept in report-schedule-state.json so the next
+// run can report what started, stopped or restarted in between.
+//
+// {
+//   "schedules": [
+//     { "name": "daily", "cron": "0 8 * * *", "timezone": "Europe/Berlin",
+//       "sections": ["ip", "host", "containers", "probes", "changes", "updates"] },
+//     { "name": "evening", "cron": "0 20 * * *", "channelId": "123",
+//       "sections": ["changes", "alerts"] }
+//   ]
+// }
+
+export const REPORT_SECTIONS = ['ip', 'host', 'containers', 'probes', 'changes', 'updates', 'alerts'];
+
+const SCHEDULE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+export function createReportScheduler({
+  configPath,
+  statePath,
+  defaultSchedules = [],
+  defaultTimezone,
+  runReport,
+}) {
+  let schedules = null;
+  let state = null;
+  const tasks = new Map();
+
+  function loadSchedules() {
+    if (schedules) return schedules;
+    let entries = defaultSchedules;
+    try {
+      entries = JSON.parse(fs.readFileSync(configPath, 'utf8'))?.schedules ?? [];
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error(`Invalid report schedules at ${configPath}; using defaults.`, error);
+      }
+    }
+
+    schedules = [];
+    for (const entry of entries) {
+      const problem = validateSchedule(entry);
+      if (problem) {
+        console.error(`Skipping report schedule ${JSON.stringify(entry)}: ${problem}`);
+        continue;
+      }
+      schedules.push(normalizeSchedule(entry));
+    }
+    return schedules;
+  }
+
+  async function saveSchedules() {
+    try {
+      await fs.promises.writeFile(configPath, `${JSON.stringify({ schedules }, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write report schedules.', error);
+    }
+  }
+
+  async function loadState() {
+    if (state) return state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        console.error('Failed to read report schedule state.', error);
+      }
+      state = {};
+    }
+    return state;
+  }
+
+  async function saveState() {
+    try {
+      await fs.promises.writeFile(statePath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write report schedule state.', error);
+    }
+  }
+
+  function normalizeSchedule(entry) {
+    return {
+      name: entry.name,
+      cron: entry.cron,
+      timezone: entry.timezone || null,
+      channelId: entry.channelId || null,
+      sections: entry.sections?.length ? [...entry.sections] : [...REPORT_SECTIONS],
+    };
+  }
+
+  // Schedules without a timezone follow TZ, so they are stored without one.
+  function withTimezone(entry) {
+    return { ...entry, timezone: entry.timezone || defaultTimezone };
+  }
+
+  async function run(schedule) {
+    await loadState();
+    try {
+      const snapshot = await runReport(schedule, state[schedule.name] ?? null);
+      state[schedule.name] = { at: new Date().toISOString(), snapshot };
+      await saveState();
+    } catch (error) {
+      console.error(`Failed to send scheduled report ${schedule.name}.`, error);
+    }
+  }
+
+  function schedule(entry) {
+    tasks.get(entry.name)?.stop();
+    tasks.set(
+      entry.name,
+      cron.schedule(entry.cron, () => run(entry), { timezone: entry.timezone || defaultTimezone })
+    );
+  }
+
+  return {
+    start() {
+      for (const entry of loadSchedules()) {
+        schedule(entry);
+      }
+      console.log(`Scheduled ${tasks.size} reports.`);
+    },
+    list() {
+      return loadSchedules().map((entry) => withTimezone(entry));
+    },
+    names() {
+      return loadSchedules().map((entry) => entry.name);
+    },
+    // When any current schedule last completed, or null if none has yet.
+    async lastRunAt() {
+      await loadState();
+      const times = loadSchedules()
+        .map((entry) => state[entry.name]?.at)
+        .filter(Boolean)
+        .sort();
+      return times.at(-1) ?? null;
+    },
+    async add(entry) {
+      const problem = validateSchedule(entry);
+      if (problem) return { ok: false, message: problem };
+      const current = loadSchedules();
+      const normalized = normalizeSchedule(entry);
+      const existingIndex = current.findIndex((item) => item.name === normalized.name);
+      if (existingIndex === -1) {
+        current.push(normalized);
+      } else {
+        current[existingIndex] = normalized;
+      }
+      schedule(normalized);
+      await saveSchedules();
+      return {
+        ok: true,
+        message: `${existingIndex === -1 ? 'Added' : 'Updated'} schedule ${formatSchedule(withTimezone(normalized))}`,
+      };
+    },
+    async remove(name) {
+      const current = loadSchedules();
+      const index = current.findIndex((item) => item.name === name);
+      if (index === -1) return { ok: false, message: `Schedule '${name}' not found.` };
+      current.splice(index, 1);
+      tasks.get(name)?.stop();
+      tasks.delete(name);
+      await saveSchedules();
+      await loadState();
+      delete state[name];
+      await saveState();
+      return { ok: true, message: `Removed schedule ${name}.` };
+    },
+  };
+}
+
+export function validateSchedule(entry) {
+  if (!SCHEDULE_NAME_PATTERN.test(entry?.name ?? '')) {
+    return 'Schedule names use letters, numbers, - and _ (up to 32 characters).';
+  }
+  if (!cron.validate(entry.cron ?? '')) {
+    return `Invalid cron expression '${entry.cron}'.`;
+  }
+  if (entry.timezone && !isValidTimezone(entry.timezone)) {
+    return `Unknown timezone '${entry.timezone}'.`;
+  }
+  const unknownSections = (entry.sections ?? []).filter((section) => !REPORT_SECTIONS.includes(section));
+  if (unknownSections.length) {
+    return `Unknown sections: ${unknownSections.join(', ')}. Use ${REPORT_SECTIONS.join(', ')}.`;
+  }
+  return null;
+}
+
+export function parseSectionList(value) {
+  return String(value ?? '')
+    .split(/[\s,]+/)
+    .map((section) => section.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function formatSchedule(schedule) {
+  const target = schedule.channelId ? `<#${schedule.channelId}>` : 'report channel';
+  return `**${schedule.name}** — \`${schedule.cron}\` (${schedule.timezone}) → ${target}; ${schedule.sections.join(', ')}`;
+}
+
+// Snapshots map container names to { state, startedAt }.
+export function diffContainerSnapshots(previous, current) {
+  const started = [];
+  const stopped = [];
+  const restarted = [];
+  for (const [name, now] of Object.entries(current)) {
+    const before = previous[name];
+    const wasRunning = before?.state === 'running';
+    if (now.state === 'running' && !wasRunning) {
+      started.push(name);
+    } else if (now.state === 'running' && before.startedAt !== now.startedAt) {
+      restarted.push(name);
+    } else if (now.state !== 'running' && wasRunning) {
+      stopped.push(name);
+    }
+  }
+  for (const [name, before] of Object.entries(previous)) {
+    if (!current[name] && before.state === 'running') stopped.push(`${name} (removed)`);
+  }
+  return { started: started.sort(), stopped: stopped.sort(), restarted: restarted.sort() };
+}
+
+export function formatContainerChanges(diff, sinceIso) {
+  const since = `<t:${Math.floor(new Date(sinceIso).getTime() / 1000)}:R>`;
+  const lines = [`🔄 **Since last report** (${since})`];
+  if (diff.started.length) lines.push(`▶️ Started: ${diff.started.join(', ')}`);
+  if (diff.stopped.length) lines.push(`⏹️ Stopped: ${diff.stopped.join(', ')}`);
+  if (diff.restarted.length) lines.push(`🔁 Restarted: ${diff.restarted.join(', ')}`);
+  if (lines.length === 1) lines.push('No containers started, stopped or restarted.');
+  return lines.join('\n');
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
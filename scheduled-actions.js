@@ -0,0 +1,180 @@
+import fs from 'node:fs';
+import cron from 'node-cron';
+import { nextCronRun } from './cron-next.js';
+
+// Scheduled container actions, e.g. "restart plex every Sunday at 4am" or
+// "stop the game server at midnight", without cron on the host. Jobs are
+// added through /schedule-action and kept, with their last run, in
+// scheduled-actions.json in BOT_STATE_DIR so they survive restarts. Each run
+// is reported to the report channel.
+//
+// {
+//   "jobs": [
+//     { "name": "restart-plex", "container": "plex", "action": "restart", "cron": "0 4 * * 0",
+//       "host": null, "createdBy": { "id": "123456789012345678", "tag": "alice" },
+//       "lastRun": { "at": "2024-05-05T04:00:00.000Z", "ok": true, "message": "Restarted plex." } }
+//   ]
+// }
+
+export const SCHEDULED_ACTIONS = ['start', 'stop', 'restart'];
+
+const ACTION_ICONS = { start: '▶️', stop: '⏹️', restart: '🔁' };
+
+export function createActionScheduler({ statePath, timezone, runAction, notify }) {
+  let jobs = null;
+  // Set when the file exists but cannot be read; saving would overwrite it.
+  let unreadable = false;
+  const tasks = new Map();
+
+  function loadJobs() {
+    if (jobs) return jobs;
+    jobs = [];
+    try {
+      jobs = JSON.parse(fs.readFileSync(statePath, 'utf8'))?.jobs ?? [];
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        unreadable = true;
+        console.error(`Invalid scheduled actions at ${statePath}; not saving over it.`, error);
+      }
+    }
+    return jobs;
+  }
+
+  async function saveJobs() {
+    if (unreadable) {
+      console.error(`Not saving scheduled actions: ${statePath} could not be read.`);
+      return;
+    }
+    try {
+      await fs.promises.writeFile(statePath, `${JSON.stringify({ jobs }, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.error('Failed to write scheduled actions.', error);
+    }
+  }
+
+  async function run(job) {
+    let result;
+    try {
+      result = await runAction(job);
+    } catch (error) {
+      console.error(`Scheduled action ${job.name} failed.`, error);
+      result = { ok: false, message: `Unable to ${job.action} ${job.container} right now.` };
+    }
+    // The job may have been removed while it ran.
+    if (loadJobs().includes(job)) {
+      job.lastRun = { at: new Date().toISOString(), ok: result.ok, message: result.message };
+      await saveJobs();
+    }
+    try {
+      await notify(
+        `⏰ **Scheduled ${job.action}: ${job.container}**${job.host ? ` on ${job.host}` : ''} — ${
+          result.ok ? '✅' : '❌'
+        } ${result.message}`,
+        { severity: result.ok ? 'info' : 'warning' }
+      );
+    } catch (error) {
+      console.error('Failed to send scheduled action report.', error);
+    }
+  }
+
+  function schedule(job) {
+    tasks.set(
+      job.name,
+      cron.schedule(job.cron, () => run(job), { timezone })
+    );
+  }
+
+  function withNextRun(job) {
+    return { ...job, nextRunAt: nextCronRun(job.cron, { timezone })?.toISOString() ?? null };
+  }
+
+  function unusedName(container, action) {
+    const base = `${action}-${container}`.slice(0, 32);
+    const names = new Set(loadJobs().map((job) => job.name));
+    if (!names.has(base)) return base;
+    let suffix = 2;
+    while (names.has(`${base.slice(0, 29)}-${suffix}`)) suffix += 1;
+    return `${base.slice(0, 29)}-${suffix}`;
+  }
+
+  function unreadableResult() {
+    return {
+      ok: false,
+      message:
+        'Scheduled actions cannot be changed until scheduled-actions.json is fixed and the bot restarted; see the log.',
+    };
+  }
+
+  return {
+    start() {
+      for (const job of loadJobs()) {
+        schedule(job);
+      }
+      console.log(`Scheduled ${tasks.size} container actions.`);
+    },
+    // Jobs with their next run time, soonest first.
+    list() {
+      return loadJobs()
+        .map(withNextRun)
+        .sort((a, b) => (a.nextRunAt ?? '~').localeCompare(b.nextRunAt ?? '~'));
+    },
+    names() {
+      return loadJobs().map((job) => job.name);
+    },
+    get(name) {
+      return loadJobs().find((job) => job.name === name) ?? null;
+    },
+    async add({ container, action, cron: expression, host = null, createdBy }) {
+      loadJobs();
+      if (unreadable) return unreadableResult();
+      if (!SCHEDULED_ACTIONS.includes(action)) {
+        return {
+          ok: false,
+          message: `Unknown action '${action}'. Use ${SCHEDULED_ACTIONS.join(', ')}.`,
+        };
+      }
+      if (!cron.validate(expression ?? '')) {
+        return { ok: false, message: `Invalid cron expression '${expression}'.` };
+      }
+      const job = {
+        name: unusedName(container, action),
+        container,
+        action,
+        cron: expression,
+        host,
+        createdBy,
+        createdAt: new Date().toISOString(),
+      };
+      loadJobs().push(job);
+      schedule(job);
+      await saveJobs();
+      return {
+        ok: true,
+        job,
+        message: `Added scheduled action ${formatScheduledAction(withNextRun(job))}`,
+      };
+    },
+    async remove(name) {
+      const current = loadJobs();
+      if (unreadable) return unreadableResult();
+      const index = current.findIndex((job) => job.name === name);
+      if (index === -1) return { ok: false, message: `Scheduled action '${name}' not found.` };
+      const [job] = current.splice(index, 1);
+      tasks.get(name)?.stop();
+      tasks.delete(name);
+      await saveJobs();
+      return { ok: true, job, message: `Removed scheduled action ${name}.` };
+    },
+  };
+}
+
+export function formatScheduledAction(job) {
+  const where = job.host ? ` on ${job.host}` : '';
+  const next = job.nextRunAt
+    ? `next <t:${Math.floor(Date.parse(job.nextRunAt) / 1000)}:f>`
+    : 'no upcoming run';
+  const last = job.lastRun
+    ? `; last ${job.lastRun.ok ? '✅' : '❌'} <t:${Math.floor(Date.parse(job.lastRun.at) / 1000)}:R>`
+    : '';
+  return `${ACTION_ICONS[job.action]} **${job.name}** — ${job.action} \`${job.container}\`${where} at \`${job.cron}\` (${next}${last})`;
+}
@@ -0,0 +1,183 @@
+import { describeRollback, getImageId, pullImage, recreateContainer } from './container-recreate.js';
+
+// Docker Compose projects ("stacks"), reconstructed from the labels Compose
+// puts on every container it creates.
+
+export const COMPOSE_PROJECT_LABEL = 'com.docker.compose.project';
+const COMPOSE_SERVICE_LABEL = 'com.docker.compose.service';
+const COMPOSE_DEPENDS_ON_LABEL = 'com.docker.compose.depends_on';
+
+export async function listStacks(docker) {
+  const summaries = await docker.listContainers({ all: true });
+  const stacks = new Map();
+
+  for (const summary of summaries) {
+    const labels = summary.Labels ?? {};
+    const stackName = labels[COMPOSE_PROJECT_LABEL];
+    if (!stackName) continue;
+
+    if (!stacks.has(stackName)) {
+      stacks.set(stackName, { name: stackName, services: [] });
+    }
+    stacks.get(stackName).services.push({
+      id: summary.Id,
+      name: (summary.Names?.[0] || summary.Id).replace(/^\//, ''),
+      service: labels[COMPOSE_SERVICE_LABEL] || summary.Names?.[0]?.replace(/^\//, '') || summary.Id,
+      dependsOn: parseDependsOn(labels[COMPOSE_DEPENDS_ON_LABEL]),
+      image: summary.Image,
+      imageId: summary.ImageID,
+      state: summary.State,
+      status: summary.Status,
+    });
+  }
+
+  return [...stacks.values()]
+    .map((stack) => ({ ...stack, services: orderServicesByDependencies(stack.services) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getStack(docker, stackName) {
+  const stacks = await listStacks(docker);
+  return stacks.find((stack) => stack.name === stackName) ?? null;
+}
+
+export function formatStackSummary(stack) {
+  const running = stack.services.filter((service) => service.state === 'running').length;
+  const total = stack.services.length;
+  const icon = running === total ? '🟢' : running === 0 ? '🔴' : '🟡';
+  return `${icon} **${stack.name}** — ${running}/${total} running`;
+}
+
+export function formatStackStatus(stack) {
+  const lines = stack.services.map((service) => {
+    const icon = service.state === 'running' ? '🟢' : '🔴';
+    const label =
+      service.service === service.name ? service.name : `${service.service} (${service.name})`;
+    return `${icon} ${label} — ${service.status || service.state}`;
+  });
+  return [formatStackSummary(stack), ...lines];
+}
+
+// Stops run in reverse dependency order and starts in dependency order, so a
+// restart takes the whole stack down before bringing it back up.
+export async function runStackAction(stack, action, { startContainer, stopContainer }) {
+  const results = [];
+  const stopOrder = [...stack.services].reverse();
+
+  if (action === 'stop' || action === 'restart') {
+    for (const service of stopOrder) {
+      const result = await stopContainer(service.name);
+      results.push({ service, step: 'stop', ...result });
+    }
+  }
+  if (action === 'start' || action === 'restart') {
+    for (const service of stack.services) {
+      const result = await startContainer(service.name);
+      results.push({ service, step: 'start', ...result });
+    }
+  }
+
+  return summarizeResults(results);
+}
+
+export async function pullAndRecreateStack(docker, stack) {
+  const results = [];
+  const pulledImages = new Map();
+
+  for (const service of stack.services) {
+    const imageRef = service.image;
+    if (!imageRef || imageRef.startsWith('sha256:')) {
+      results.push({
+        service,
+        ok: true,
+        changed: false,
+        message: `${service.name}: no image tag to pull.`,
+      });
+      continue;
+    }
+
+    try {
+      if (!pulledImages.has(imageRef)) {
+        await pullImage(docker, imageRef);
+        pulledImages.set(imageRef, await getImageId(docker, imageRef));
+      }
+      const latestImageId = pulledImages.get(imageRef);
+      if (!latestImageId || latestImageId === service.imageId) {
+        results.push({ service, ok: true, changed: false, message: `${service.name}: up to date.` });
+        continue;
+      }
+
+      await recreateContainer(docker, service.id, { image: imageRef });
+      results.push({
+        service,
+        ok: true,
+        changed: true,
+        message: `${service.name}: recreated with new image.`,
+      });
+    } catch (error) {
+      console.error(`Failed to pull and recreate ${service.name}.`, error);
+      results.push({
+        service,
+        ok: false,
+        changed: false,
+        message: `${service.name}: update failed${error?.rollback ? `; ${describeRollback(error)}` : ''}.`,
+      });
+    }
+  }
+
+  return summarizeResults(results);
+}
+
+export function orderServicesByDependencies(services) {
+  const byService = new Map();
+  for (const entry of services) {
+    if (!byService.has(entry.service)) byService.set(entry.service, []);
+    byService.get(entry.service).push(entry);
+  }
+
+  const remaining = new Map(
+    [...byService.keys()].map((serviceName) => [
+      serviceName,
+      new Set(byService.get(serviceName)[0].dependsOn.filter((dependency) => byService.has(dependency))),
+    ])
+  );
+  const ordered = [];
+
+  while (remaining.size) {
+    const ready = [...remaining.entries()]
+      .filter(([, dependencies]) => dependencies.size === 0)
+      .map(([serviceName]) => serviceName)
+      .sort((a, b) => a.localeCompare(b));
+    // A dependency cycle should not happen with Compose, but never loop forever.
+    const batch = ready.length ? ready : [[...remaining.keys()].sort((a, b) => a.localeCompare(b))[0]];
+
+    for (const serviceName of batch) {
+      remaining.delete(serviceName);
+      for (const dependencies of remaining.values()) {
+        dependencies.delete(serviceName);
+      }
+      ordered.push(...byService.get(serviceName).sort((a, b) => a.name.localeCompare(b.name)));
+    }
+  }
+
+  return ordered;
+}
+
+function parseDependsOn(label) {
+  if (!label) return [];
+  // Compose writes "service:condition:restart" entries separated by commas.
+  return label
+    .split(',')
+    .map((entry) => entry.split(':')[0].trim())
+    .filter(Boolean);
+}
+
+function summarizeResults(results) {
+  const failures = results.filter((result) => !result.ok);
+  return {
+    ok: failures.length === 0,
+    changed: results.some((result) => result.changed),
+    results,
+    lines: results.map((result) => `${result.ok ? '✅' : '❌'} ${result.message}`),
+  };
+}